@@ -1,5 +1,34 @@
 // background.js - Service Worker for Audio Export Extension
 
+import {
+  clearLedger,
+  getLedgerSummary,
+  getFailedEntries,
+} from "./features/audioExport/exportLedger.js";
+import {
+  clearRunHistory,
+  loadRunHistory,
+} from "./features/audioExport/runHistory.js";
+import { loadData, saveData } from "./common/storageUtils.js";
+import { loadSettings } from "./common/settings.js";
+import {
+  UNFINISHED_EXPORT_STATUSES,
+  formatElapsed,
+  formatProgress,
+  getActiveDuration,
+  getProgress,
+} from "./common/progressUtils.js";
+import {
+  AUDIO_FORMATS,
+  DEFAULT_EXPORT_OPTIONS,
+  TRANSCRIPT_FORMATS,
+  normalizeExportOptions,
+} from "./common/exportOptions.js";
+import {
+  buildExportPath,
+  sanitizePathSegment,
+} from "./common/filenameTemplate.js";
+
 const ALLOWED_ORIGIN = "https://app.plaud.ai";
 
 /**
@@ -38,7 +67,10 @@ const ALLOWED_PROGRESS_KEYS = [
   "filesProcessed",
   "filesErrored",
   "filesSkipped",
+  "totalFiles",
+  "averageFileMs",
   "currentTitle",
+  "currentRecordingId",
   "status",
 ];
 
@@ -47,20 +79,58 @@ const ALLOWED_PROGRESS_KEYS = [
  * - activeExports: Object mapping tab IDs to their export status and statistics.
  * - activeTabIds: Set of tab IDs currently engaged in export.
  * - stopFlags: Set of tab IDs where an export stop was requested.
+ * These are mirrored to chrome.storage.session (see persistExportState) because
+ * an MV3 service worker can be evicted in the middle of a long export.
  */
 let activeExports = {};
 let activeTabIds = new Set();
 let stopFlags = new Set();
 
-// --- NEW: Define the target subdirectory for downloads ---
-const DOWNLOAD_SUBDIRECTORY = "PlaudExports";
+const EXPORT_STATE_KEY = "exportSessionState";
+// How long a finished export stays visible to the popup before it is forgotten
+const FINISHED_EXPORT_RETENTION_MS = 60000;
+// Set once restoreExportState has finished on this worker instance
+let exportStateRestored = false;
 
 /**
- * Listener for incoming messages from content scripts and the popup.
+ * Download verification state:
+ * - pendingDownloads: Map of tab ID -> { title, extension, baseName, root, folder, template,
+ *   file, tag, savePath, sourceUrl, requestedAt, downloadId } for the file
+ *   each tab is currently exporting.
+ * - trackedDownloads: Map of download ID -> tab ID for downloads claimed by an export.
+ * Both are mirrored to chrome.storage.session (see persistDownloadState), as a
+ * download can take longer than the service worker stays alive.
+ */
+const pendingDownloads = new Map();
+const trackedDownloads = new Map();
+
+const DOWNLOAD_STATE_KEY = "downloadSessionState";
+
+/** Extensions a tracked download may have: every audio and transcript format. */
+const ALLOWED_DOWNLOAD_EXTENSIONS = [
+  ...Object.keys(AUDIO_FORMATS),
+  ...Object.keys(TRANSCRIPT_FORMATS),
+];
+
+/** MIME types of the files the extension writes itself, keyed by extension. */
+const GENERATED_FILE_TYPES = {
+  md: "text/markdown",
+  json: "application/json",
+  csv: "text/csv",
+};
+// Max wait for a generated file to be written to disk
+const GENERATED_FILE_TIMEOUT_MS = 30000;
+// Max wait for the untagged original of an MP3 to be written to disk
+const AUDIO_SAVE_TIMEOUT_MS = 600000;
+
+/**
+ * Handles incoming messages from content scripts and the popup.
  * Handles different actions such as stopping exports, starting background exports,
  * updating progress, and providing export status.
+ *
+ * @returns {boolean} Whether sendResponse will be called asynchronously.
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+function handleMessage(message, sender, sendResponse) {
   console.log("Background received message:", message.action);
 
   try {
@@ -86,6 +156,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (activeExports[tabId]) {
           activeExports[tabId].status = "stopped";
         }
+        persistExportState();
 
         // Attempt to notify the content script to stop the export process
         try {
@@ -111,14 +182,174 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return false; // Indicates synchronous response
     }
 
-    // Check if the export process for the sender's tab should be stopped
+    // Pause a running background export; the content script waits at the next file boundary
+    if (message.action === "pauseExport") {
+      const tabId = message.tabId;
+      if (!isValidTabId(tabId)) {
+        sendResponse({ success: false, error: "Invalid tab ID" });
+        return false;
+      }
+      const exportData = activeExports[tabId];
+      if (!activeTabIds.has(tabId) || exportData?.status !== "running") {
+        sendResponse({ success: false, error: "No running export to pause" });
+        return false;
+      }
+      exportData.status = "paused";
+      exportData.pausedAt = Date.now();
+      persistExportState();
+      const runningTime = formatElapsed(getActiveDuration(exportData));
+
+      chrome.notifications.create(`export-paused-${tabId}`, {
+        type: "basic",
+        iconUrl: "assets/icons/icon128.png",
+        title: "Export Paused",
+        message: `Paused after ${exportData.filesProcessed} files (${runningTime} running). The current file will finish first.`,
+        priority: 1,
+      });
+
+      sendResponse({ success: true });
+      return false; // Synchronous response
+    }
+
+    // Resume a paused background export
+    if (message.action === "resumeExport") {
+      const tabId = message.tabId;
+      if (!isValidTabId(tabId)) {
+        sendResponse({ success: false, error: "Invalid tab ID" });
+        return false;
+      }
+      const exportData = activeExports[tabId];
+      if (!activeTabIds.has(tabId) || exportData?.status !== "paused") {
+        sendResponse({ success: false, error: "No paused export to resume" });
+        return false;
+      }
+      const pausedFor = Date.now() - exportData.pausedAt;
+      exportData.status = "running";
+      // Paused time is excluded from the running time and the stall check
+      exportData.pausedDuration = (exportData.pausedDuration || 0) + pausedFor;
+      exportData.pausedAt = null;
+      exportData.lastUpdateTime = Date.now();
+      persistExportState();
+
+      chrome.notifications.create(`export-resumed-${tabId}`, {
+        type: "basic",
+        iconUrl: "assets/icons/icon128.png",
+        title: "Export Resumed",
+        message: `Resumed after a pause of ${formatElapsed(pausedFor)}.`,
+        priority: 1,
+      });
+
+      sendResponse({ success: true });
+      return false; // Synchronous response
+    }
+
+    // Check if the export process for the sender's tab should be stopped or wait while paused
     if (message.action === "checkShouldStop") {
       const tabId = sender.tab?.id;
       const shouldStop = stopFlags.has(tabId);
-      sendResponse({ shouldStop });
+      const paused = activeExports[tabId]?.status === "paused";
+      sendResponse({ shouldStop, paused });
+      return false; // Synchronous response
+    }
+
+    // Register the file a tab is about to download so its download can be verified
+    if (message.action === "trackDownload") {
+      const tabId = sender.tab?.id;
+      if (
+        !isValidTabId(tabId) ||
+        typeof message.title !== "string" ||
+        !message.title
+      ) {
+        sendResponse({ success: false, error: "Invalid tracking request" });
+        return false;
+      }
+      untrackTabDownloads(tabId); // Only one file per tab is exported at a time
+      pendingDownloads.set(tabId, {
+        title: message.title,
+        // Extension the routing in onDeterminingFilename expects (e.g. "mp3")
+        extension: ALLOWED_DOWNLOAD_EXTENSIONS.includes(message.extension)
+          ? message.extension
+          : null,
+        // Hand Plaud's MP3 download over to the content script, which sends it back with ID3 tags (see audioTagging.js)
+        tag: message.tag === true && message.extension === "mp3",
+        // Set on handover: where the tagged file is saved, and the download's URL
+        savePath: null,
+        sourceUrl: null,
+        // Optional name to save under, e.g. a transcript next to its audio
+        baseName:
+          typeof message.baseName === "string" && message.baseName
+            ? sanitizePathSegment(message.baseName)
+            : null,
+        // Download root, mirrored folder, filename template and token values (see common/filenameTemplate.js)
+        ...getFileNaming(message),
+        requestedAt: Date.now(),
+        downloadId: null,
+      });
+      persistDownloadState();
+      sendResponse({ success: true });
       return false; // Synchronous response
     }
 
+    // Drop tracking state once the content script stops waiting for a download
+    if (message.action === "untrackDownload") {
+      const tabId = sender.tab?.id;
+      if (pendingDownloads.get(tabId)?.title === message.title) {
+        untrackTabDownloads(tabId);
+      }
+      sendResponse({ success: true });
+      return false; // Synchronous response
+    }
+
+    // Save a file generated by the content script (e.g. a summary note) into the export folder
+    if (message.action === "saveGeneratedFile") {
+      if (
+        !isValidTabId(sender.tab?.id) ||
+        !Object.hasOwn(GENERATED_FILE_TYPES, message.extension) ||
+        typeof message.baseName !== "string" ||
+        !message.baseName ||
+        typeof message.content !== "string"
+      ) {
+        sendResponse({ success: false, error: "Invalid file request" });
+        return false;
+      }
+      saveGeneratedFile(
+        message.baseName,
+        message.extension,
+        message.content,
+        getFileNaming(message)
+      )
+        .then((file) => sendResponse({ success: true, ...file }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true; // Asynchronous response
+    }
+
+    // Save an MP3 handed over for tagging (see handOverForTagging)
+    if (message.action === "saveTaggedAudio") {
+      const tabId = sender.tab?.id;
+      const pending = pendingDownloads.get(tabId);
+      if (
+        !pending?.savePath ||
+        pending.title !== message.title ||
+        typeof message.tagged !== "boolean"
+      ) {
+        sendResponse({ success: false, error: "No download awaiting tags" });
+        return false;
+      }
+      if (message.tagged) {
+        // The page downloads the tagged file itself
+        sendResponse({ success: true, ...expectTaggedAudio(pending) });
+        return false; // Synchronous response
+      }
+      saveUntaggedAudio(tabId, pending)
+        .then((file) => sendResponse({ success: true, ...file }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true; // Asynchronous response
+    }
+
     // Start a new background export process
     if (message.action === "startBackgroundExport") {
       const tabId = message.tabId;
@@ -127,44 +358,64 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return false;
       }
 
+      const options = normalizeExportOptions(message.options);
+
       // Begin tracking the export for this tab
       activeTabIds.add(tabId);
       stopFlags.delete(tabId); // Clear any previous stop flags
 
       activeExports[tabId] = {
         status: "running",
+        options,
         filesProcessed: 0,
         filesSkipped: 0,
         filesErrored: 0,
         startTime: Date.now(),
         lastUpdateTime: Date.now(),
+        pausedAt: null, // Set while paused
+        pausedDuration: 0, // Total time spent paused, in ms
       };
-
-      // Notify the user that the export has started
-      chrome.notifications.create(`export-started-${tabId}`, {
-        type: "basic",
-        iconUrl: "assets/icons/icon128.png",
-        title: "Audio Export Started",
-        message:
-          "Export process is running in the background. You can switch tabs safely.",
-        priority: 2,
-      });
+      persistExportState();
 
       // Prevent the browser from discarding the tab during export
       keepTabAlive(tabId);
 
-      // Request the content script to begin processing the export
-      try {
-        chrome.tabs
-          .sendMessage(tabId, { action: "runExportAll", background: true })
-          .catch((err) => console.warn("Error starting export:", err));
-      } catch (e) {
-        console.warn("Failed to start export:", e);
-      }
-
-      // Respond with success
-      sendResponse({ success: true, message: "Background export started" });
-      return false; // Synchronous response
+      // Request the content script to begin processing the export, and
+      // report its answer: the page refuses while it runs an export of its own
+      chrome.tabs
+        .sendMessage(tabId, {
+          action: "runExportAll",
+          background: true,
+          options,
+        })
+        .then((response) => {
+          if (!response || !response.success) {
+            const error = response?.error || "no response from the page";
+            console.warn(`Background export not started: ${error}`);
+            forgetExport(tabId);
+            sendResponse({ success: false, error });
+            return;
+          }
+          // Notify the user that the export has started
+          chrome.notifications.create(`export-started-${tabId}`, {
+            type: "basic",
+            iconUrl: "assets/icons/icon128.png",
+            title: "Audio Export Started",
+            message:
+              "Export process is running in the background. You can switch tabs safely.",
+            priority: 2,
+          });
+          sendResponse({ success: true, message: "Background export started" });
+        })
+        .catch((err) => {
+          console.warn("Error starting export:", err);
+          forgetExport(tabId);
+          sendResponse({
+            success: false,
+            error: `The page did not answer (${err.message}); reload the Plaud tab and try again.`,
+          });
+        });
+      return true; // Asynchronous response
     }
 
     // Update export progress from the content script
@@ -180,17 +431,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           }
         }
         activeExports[tabId].lastUpdateTime = Date.now();
+        persistExportState();
 
         // Issue periodic notifications for every 10 files processed
-        if (
-          message.data.filesProcessed % 10 === 0 &&
-          message.data.filesProcessed > 0
-        ) {
+        const { filesProcessed } = message.data;
+        if (filesProcessed % 10 === 0 && filesProcessed > 0) {
+          const progress = getProgress(activeExports[tabId]);
           chrome.notifications.create(`export-progress-${tabId}`, {
             type: "basic",
             iconUrl: "assets/icons/icon128.png",
             title: "Export Progress",
-            message: `Processed ${message.data.filesProcessed} files so far.`,
+            message: progress
+              ? `Done: ${formatProgress(progress)}.`
+              : `Processed ${filesProcessed} files so far.`,
             priority: 1,
           });
         }
@@ -208,32 +461,131 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         const stats = message.data;
         // Update status before notification
         activeExports[tabId].status = "completed";
+        // Close a pause left open by stopping a paused export
+        const { pausedAt, pausedDuration } = activeExports[tabId];
+        if (pausedAt) {
+          activeExports[tabId].pausedDuration =
+            (pausedDuration || 0) + Date.now() - pausedAt;
+          activeExports[tabId].pausedAt = null;
+        }
         activeExports[tabId].filesProcessed = stats.filesProcessed;
         activeExports[tabId].filesErrored = stats.filesErrored;
+        activeExports[tabId].lastUpdateTime = Date.now();
         // Add other stats if needed
+        persistExportState();
 
         // Notify the user of export completion with statistics
+        const runningTime = formatElapsed(
+          getActiveDuration(activeExports[tabId])
+        );
+        const failedCount = Array.isArray(stats.failedFiles)
+          ? stats.failedFiles.length
+          : 0;
         chrome.notifications.create(`export-complete-${tabId}`, {
           type: "basic",
           iconUrl: "assets/icons/icon128.png",
           title: "Audio Export Complete",
-          message: `Processed ${stats.filesProcessed} files. ${stats.filesErrored} errors.`,
+          message: `Processed ${stats.filesProcessed} files. ${
+            stats.filesErrored
+          } errors. Running time ${runningTime}.${
+            failedCount > 0
+              ? ` ${failedCount} file(s) can be retried from the popup.`
+              : ""
+          }`,
           priority: 2,
         });
 
         // Schedule removal of export data after 1 minute
+        // (restoreExportState drops it instead if the worker is evicted first)
         setTimeout(() => {
-          delete activeExports[tabId];
-          activeTabIds.delete(tabId);
-          stopFlags.delete(tabId);
+          forgetExport(tabId);
           console.log(`Cleaned up export data for tab ${tabId}`);
-        }, 60000);
+        }, FINISHED_EXPORT_RETENTION_MS);
       }
 
       sendResponse({ success: true });
       return false; // Synchronous response
     }
 
+    // Let a reloaded content script pick up an export that was still running in its tab
+    if (message.action === "getResumableExport") {
+      const tabId = sender.tab?.id;
+      const exportData = activeExports[tabId];
+      if (
+        activeTabIds.has(tabId) &&
+        exportData &&
+        UNFINISHED_EXPORT_STATUSES.includes(exportData.status)
+      ) {
+        exportData.lastUpdateTime = Date.now();
+        persistExportState();
+        console.log(`Resuming export in reloaded tab ${tabId}`);
+        sendResponse({
+          success: true,
+          resume: true,
+          options: exportData.options,
+          stats: {
+            filesProcessed: exportData.filesProcessed,
+            filesErrored: exportData.filesErrored,
+            filesSkipped: exportData.filesSkipped,
+            startTime: exportData.startTime,
+          },
+        });
+      } else {
+        sendResponse({ success: true, resume: false });
+      }
+      return false; // Synchronous response
+    }
+
+    // Summarize the persistent export ledger for the popup
+    if (message.action === "getLedgerSummary") {
+      getLedgerSummary()
+        .then((summary) => sendResponse({ success: true, summary }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true; // Asynchronous response
+    }
+
+    // List the recordings whose last attempt failed, so the popup can offer to retry them
+    if (message.action === "getFailedExports") {
+      getFailedEntries()
+        .then((failed) => sendResponse({ success: true, failed }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true; // Asynchronous response
+    }
+
+    // Forget every recording in the export ledger so the next run starts fresh
+    if (message.action === "clearExportLedger") {
+      clearLedger()
+        .then(() => sendResponse({ success: true }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true; // Asynchronous response
+    }
+
+    // List past export runs with their per-file outcomes, for the popup's History view
+    if (message.action === "getRunHistory") {
+      loadRunHistory()
+        .then((runs) => sendResponse({ success: true, runs }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true; // Asynchronous response
+    }
+
+    // Forget every past export run
+    if (message.action === "clearRunHistory") {
+      clearRunHistory()
+        .then(() => sendResponse({ success: true }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true; // Asynchronous response
+    }
+
     // Provide the current export status for a given tab
     if (message.action === "getExportStatus") {
       const tabId = message.tabId;
@@ -258,6 +610,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: false, error: error.message });
     return false; // Synchronous response
   }
+}
+
+/**
+ * Listener for incoming messages. Right after a worker restart the persisted
+ * export state is still being read back, so messages wait for it.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (exportStateRestored) {
+    return handleMessage(message, sender, sendResponse);
+  }
+  exportStateReady.then(() => handleMessage(message, sender, sendResponse));
+  return true; // Asynchronous response
 });
 
 /**
@@ -266,26 +630,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  *
  * @param {number} tabId - The ID of the tab to keep alive.
  * @param {number} [startTime] - The timestamp when keepTabAlive was first called for this tab.
+ *
+ * The maximum duration and the stall threshold are read from the settings on every check,
+ * so changes made on the options page apply to running exports.
  */
-const MAX_KEEP_ALIVE_DURATION = 4 * 60 * 60 * 1000; // 4 hours
-
 async function keepTabAlive(tabId, startTime) {
   if (!startTime) {
     startTime = Date.now();
   }
 
   try {
-    // Check max runtime
-    if (Date.now() - startTime > MAX_KEEP_ALIVE_DURATION) {
-      console.warn(`keepTabAlive: Max duration (4 hours) reached for tab ${tabId}. Stopping.`);
-      activeTabIds.delete(tabId);
-      stopFlags.delete(tabId);
-      delete activeExports[tabId];
+    const settings = await loadSettings();
+
+    // Check max runtime (time spent paused does not count)
+    const runningTime = activeExports[tabId]
+      ? getActiveDuration(activeExports[tabId])
+      : Date.now() - startTime;
+    if (runningTime > settings.keepAliveHours * 60 * 60 * 1000) {
+      console.warn(
+        `keepTabAlive: Max duration (${settings.keepAliveHours} hours) reached for tab ${tabId}. Stopping.`
+      );
+      forgetExport(tabId);
       chrome.notifications.create(`export-timeout-${tabId}`, {
         type: "basic",
         iconUrl: "assets/icons/icon128.png",
         title: "Export Timed Out",
-        message: "Export process was stopped after reaching the maximum duration (4 hours).",
+        message: `Export process was stopped after reaching the maximum duration (${settings.keepAliveHours} hours).`,
         priority: 2,
       });
       return;
@@ -303,9 +673,7 @@ async function keepTabAlive(tabId, startTime) {
     const tab = await chrome.tabs.get(tabId).catch(() => null);
     if (!tab) {
       console.log(`keepTabAlive: Tab ${tabId} not found. Cleaning up.`);
-      activeTabIds.delete(tabId);
-      stopFlags.delete(tabId);
-      delete activeExports[tabId]; // Clean up associated export data
+      forgetExport(tabId); // Clean up associated export data
       return;
     }
 
@@ -321,12 +689,11 @@ async function keepTabAlive(tabId, startTime) {
         );
     }
 
-    // Check if export progress has stalled (no update for 2 minutes)
+    // Check if export progress has stalled (no update within the stall threshold)
     const exportData = activeExports[tabId];
     if (exportData && exportData.status === "running") {
       const timeSinceLastUpdate = Date.now() - exportData.lastUpdateTime;
-      if (timeSinceLastUpdate > 120000) {
-        // 2 minutes
+      if (timeSinceLastUpdate > settings.stallMinutes * 60 * 1000) {
         console.warn(
           `keepTabAlive: Export for tab ${tabId} might be stalled. Last update ${Math.round(
             timeSinceLastUpdate / 1000
@@ -336,7 +703,7 @@ async function keepTabAlive(tabId, startTime) {
           type: "basic",
           iconUrl: "assets/icons/icon128.png",
           title: "Export May Be Stalled",
-          message: `No updates received for export for 2 minutes. Check the export tab.`,
+          message: `No updates received for export for ${settings.stallMinutes} minute(s). Check the export tab.`,
           priority: 2,
         });
         // Consider adding logic here to auto-stop stalled exports if desired
@@ -349,39 +716,144 @@ async function keepTabAlive(tabId, startTime) {
   } catch (error) {
     console.error(`keepTabAlive: Error for tab ${tabId}:`, error);
     // Clean up on error to prevent infinite loops or resource leaks
-    activeTabIds.delete(tabId);
-    stopFlags.delete(tabId);
-    delete activeExports[tabId];
+    forgetExport(tabId);
+  }
+}
+
+/**
+ * forgetExport - Removes all tracking state for a tab's export and persists the change.
+ *
+ * @param {number} tabId - The tab whose export is forgotten.
+ */
+function forgetExport(tabId) {
+  activeTabIds.delete(tabId);
+  stopFlags.delete(tabId);
+  delete activeExports[tabId];
+  persistExportState();
+}
+
+/**
+ * persistExportState - Mirrors the export tracking variables to chrome.storage.session
+ * so they survive service worker restarts. Fire-and-forget; failures are logged.
+ */
+function persistExportState() {
+  saveData(
+    EXPORT_STATE_KEY,
+    {
+      activeExports,
+      activeTabIds: [...activeTabIds],
+      stopFlags: [...stopFlags],
+    },
+    "session"
+  ).catch((err) => console.warn("Failed to persist export state:", err));
+}
+
+/**
+ * persistDownloadState - Mirrors the download verification state to
+ * chrome.storage.session so downloads still being verified survive service
+ * worker restarts. Fire-and-forget; failures are logged.
+ */
+function persistDownloadState() {
+  saveData(
+    DOWNLOAD_STATE_KEY,
+    {
+      pendingDownloads: [...pendingDownloads],
+      trackedDownloads: [...trackedDownloads],
+    },
+    "session"
+  ).catch((err) => console.warn("Failed to persist download state:", err));
+}
+
+/**
+ * restoreDownloadState - Rehydrates the download verification state saved by
+ * a previous worker instance.
+ */
+async function restoreDownloadState() {
+  const saved = await loadData(DOWNLOAD_STATE_KEY, null, "session");
+  for (const [tabId, pending] of saved?.pendingDownloads || []) {
+    pendingDownloads.set(tabId, pending);
+  }
+  for (const [downloadId, tabId] of saved?.trackedDownloads || []) {
+    trackedDownloads.set(downloadId, tabId);
+  }
+  if (pendingDownloads.size > 0) {
+    console.log(`Restored ${pendingDownloads.size} pending download(s)`);
+  }
+}
+
+/**
+ * restoreExportState - Rehydrates the export tracking variables after a service worker
+ * (re)start, drops finished exports whose delayed cleanup was lost with the previous
+ * worker, and restarts keep-alive checks for exports that are still running.
+ */
+async function restoreExportState() {
+  try {
+    const saved = await loadData(EXPORT_STATE_KEY, null, "session");
+    if (saved) {
+      activeExports = saved.activeExports || {};
+      activeTabIds = new Set(saved.activeTabIds || []);
+      stopFlags = new Set(saved.stopFlags || []);
+    }
+
+    for (const key of Object.keys(activeExports)) {
+      const tabId = Number(key);
+      const exportData = activeExports[key];
+      if (
+        !UNFINISHED_EXPORT_STATUSES.includes(exportData.status) &&
+        Date.now() - exportData.lastUpdateTime > FINISHED_EXPORT_RETENTION_MS
+      ) {
+        activeTabIds.delete(tabId);
+        stopFlags.delete(tabId);
+        delete activeExports[key];
+      } else if (
+        activeTabIds.has(tabId) &&
+        UNFINISHED_EXPORT_STATUSES.includes(exportData.status)
+      ) {
+        console.log(`Restored ${exportData.status} export for tab ${tabId}`);
+        keepTabAlive(tabId, exportData.startTime);
+      }
+    }
+    persistExportState();
+    await restoreDownloadState();
+  } catch (error) {
+    console.error("Failed to restore export state:", error);
+  } finally {
+    exportStateRestored = true;
   }
 }
 
 /**
  * cleanupStaleExports - Resets all tracking variables to clear out any old export data.
- * This is called on service worker startup and on extension installation or update.
+ * This is called on extension installation or update, when no export can survive.
  */
 function cleanupStaleExports() {
   console.log("Cleaning up stale export data...");
   activeExports = {};
   activeTabIds.clear();
   stopFlags.clear();
+  pendingDownloads.clear();
+  trackedDownloads.clear();
+  persistExportState();
+  persistDownloadState();
 }
 
-// Initialize by cleaning up any stale exports on startup
-cleanupStaleExports();
+// Initialize by rehydrating export state persisted by a previous worker instance
+const exportStateReady = restoreExportState();
 
 // Set up a handler to clean up exports when the extension is installed or updated
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   console.log("Extension installed or updated:", details.reason);
+  await exportStateReady;
   cleanupStaleExports();
 });
 
 // Monitor tab closure to clean up exports for tabs that are removed
-chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  await exportStateReady;
   if (activeTabIds.has(tabId)) {
     console.log(`Tab ${tabId} with active export was closed. Cleaning up.`);
-    activeTabIds.delete(tabId);
-    stopFlags.delete(tabId);
-    delete activeExports[tabId];
+    forgetExport(tabId);
+    untrackTabDownloads(tabId);
     // Optionally notify the user that closing the tab stopped the export
     chrome.notifications.create(`export-tab-closed-${tabId}`, {
       type: "basic",
@@ -393,33 +865,429 @@ chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
   }
 });
 
-// --- NEW: Listener for determining download filename ---
-chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
+/**
+ * Extracts where and under which name a requested file should be saved.
+ * @param {object} message - A trackDownload or saveGeneratedFile message.
+ * @returns {{root: string, folder: string|null, template: string, file: object}}
+ *   Validated naming information for buildExportPath.
+ */
+function getFileNaming(message) {
+  const file =
+    message.file && typeof message.file === "object" ? message.file : {};
+  const options = normalizeExportOptions({
+    filenameTemplate: message.filenameTemplate,
+    downloadRoot: message.downloadRoot,
+    mirrorFolders: message.mirrorFolders,
+  });
+  const folder = typeof file.folder === "string" ? file.folder : null;
+  return {
+    root: options.downloadRoot,
+    // Plaud folder the recording lives in, mirrored as a subdirectory if enabled
+    folder: options.mirrorFolders ? folder : null,
+    template: options.filenameTemplate,
+    file: {
+      title: typeof file.title === "string" ? file.title : "",
+      recordingDate:
+        typeof file.recordingDate === "string" ? file.recordingDate : null,
+      index: Number.isInteger(file.index) && file.index > 0 ? file.index : null,
+      id: typeof file.id === "string" ? file.id : null,
+    },
+  };
+}
+
+/**
+ * Saves text content as a file in the download root and waits until it is on disk.
+ *
+ * @param {string} baseName - Filename without extension.
+ * @param {string} extension - A key of GENERATED_FILE_TYPES.
+ * @param {string} content - The file content.
+ * @param {Object} naming - Where to save the file (see getFileNaming).
+ * @returns {Promise<{downloadId: number, filename: string, fileSize: number}>} The saved file.
+ * @throws {Error} - If the download fails or does not complete in time.
+ */
+async function saveGeneratedFile(baseName, extension, content, naming) {
+  const url = `data:${GENERATED_FILE_TYPES[extension]};charset=utf-8,${encodeURIComponent(
+    content
+  )}`;
+  const filename = buildExportPath({ ...naming, extension, baseName });
+  return saveToDownloads(url, filename, GENERATED_FILE_TIMEOUT_MS);
+}
+
+/**
+ * Downloads a URL to a path below the browser's download directory and waits
+ * until the file is on disk with a non-zero size.
+ *
+ * @param {string} url - The URL to save (a data: URL for generated content).
+ * @param {string} filename - Relative path to save under (uniquified on conflict).
+ * @param {number} timeoutMs - Max wait for the download to finish.
+ * @returns {Promise<{downloadId: number, filename: string, fileSize: number}>} The saved file.
+ * @throws {Error} - If the download fails, is empty or does not complete in time.
+ */
+async function saveToDownloads(url, filename, timeoutMs) {
+  const downloadId = await chrome.downloads.download({
+    url,
+    filename,
+    conflictAction: "uniquify",
+    saveAs: false,
+  });
+
+  const state = await new Promise((resolve) => {
+    const timeoutId = setTimeout(() => finish("timeout"), timeoutMs);
+    function finish(result) {
+      clearTimeout(timeoutId);
+      chrome.downloads.onChanged.removeListener(onChanged);
+      resolve(result);
+    }
+    function onChanged(delta) {
+      if (
+        delta.id === downloadId &&
+        delta.state &&
+        delta.state.current !== "in_progress"
+      ) {
+        finish(delta.state.current);
+      }
+    }
+    chrome.downloads.onChanged.addListener(onChanged);
+    // Small files can finish before the listener is attached
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (item && item.state !== "in_progress") finish(item.state);
+    });
+  });
+
+  if (state !== "complete") {
+    throw new Error(
+      state === "timeout"
+        ? `${filename} was not saved within ${timeoutMs / 1000}s`
+        : `Saving ${filename} was interrupted`
+    );
+  }
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  const fileSize = item ? item.fileSize || item.bytesReceived : 0;
+  if (!item || item.exists === false || !(fileSize > 0)) {
+    throw new Error(`${filename} was saved empty or is missing`);
+  }
+  return { downloadId, filename: item.filename, fileSize };
+}
+
+/**
+ * Cancels Plaud's download of an MP3 that is to be tagged, before it is
+ * written, and reports its URL to the content script. The content script
+ * fetches the audio, writes the ID3 tags and downloads the tagged file from
+ * an object URL (see expectTaggedAudio), or asks for the original to be
+ * saved if that fails (see saveUntaggedAudio).
+ *
+ * @param {number} tabId - The tab running the export.
+ * @param {chrome.downloads.DownloadItem} downloadItem - Plaud's download.
+ * @param {string} savePath - Where the routed download would have been saved.
+ */
+function handOverForTagging(tabId, downloadItem, savePath) {
+  const pending = pendingDownloads.get(tabId);
+  const url = downloadItem.finalUrl || downloadItem.url;
+  pending.tag = false;
+  pending.savePath = savePath;
+  pending.sourceUrl = url;
+  // The cancelled download stays claimed (downloadId) so no other is taken for it
+  trackedDownloads.delete(downloadItem.id);
+  persistDownloadState();
+  chrome.downloads
+    .cancel(downloadItem.id)
+    .then(() => chrome.downloads.erase({ id: downloadItem.id }))
+    .catch((err) =>
+      console.warn(`Failed to cancel download ${downloadItem.id}:`, err)
+    );
+  console.log(
+    `Download ${downloadItem.id} for "${pending.title}" handed over for ID3 tagging`
+  );
+  sendDownloadStatus(tabId, { title: pending.title, state: "tagging", url });
+}
+
+/**
+ * Gets ready for the tagged MP3 the content script is about to download:
+ * the download is claimed, routed to `savePath` and verified like Plaud's
+ * own, so the file never has to pass through an extension message.
+ *
+ * @param {Object} pending - The tab's pending download (see handOverForTagging).
+ * @returns {{filename: string}} The name for the page to download the file under.
+ */
+function expectTaggedAudio(pending) {
+  pending.downloadId = null;
+  pending.requestedAt = Date.now();
+  persistDownloadState();
+  return { filename: pending.savePath.split("/").pop() };
+}
+
+/**
+ * Saves the original download of a handed-over MP3 unchanged, when the audio
+ * could not be fetched in the page to be tagged.
+ *
+ * @param {number} tabId - The tab running the export.
+ * @param {Object} pending - The tab's pending download (see handOverForTagging).
+ * @returns {Promise<{downloadId: number, filename: string, fileSize: number}>} The saved file.
+ * @throws {Error} - If the file could not be saved.
+ */
+async function saveUntaggedAudio(tabId, pending) {
+  try {
+    const file = await saveToDownloads(
+      pending.sourceUrl,
+      pending.savePath,
+      AUDIO_SAVE_TIMEOUT_MS
+    );
+    console.log(
+      `Untagged audio for "${pending.title}" saved: ${file.filename} (${file.fileSize} bytes)`
+    );
+    return file;
+  } finally {
+    if (pendingDownloads.get(tabId) === pending) untrackTabDownloads(tabId);
+  }
+}
+
+/**
+ * Removes download verification state belonging to a tab.
+ * @param {number} tabId - The tab whose pending and tracked downloads are dropped.
+ */
+function untrackTabDownloads(tabId) {
+  pendingDownloads.delete(tabId);
+  for (const [downloadId, trackedTabId] of trackedDownloads) {
+    if (trackedTabId === tabId) {
+      trackedDownloads.delete(downloadId);
+    }
+  }
+  persistDownloadState();
+}
+
+/**
+ * Normalizes a title or filename for loose comparison (letters and digits only).
+ * @param {string} value - The value to normalize.
+ * @returns {string} The normalized value.
+ */
+function normalizeForMatch(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+/**
+ * Sends a download status report to the content script of a tab.
+ * @param {number} tabId - The tab running the export.
+ * @param {object} status - The report ({ title, state, ... }).
+ */
+function sendDownloadStatus(tabId, status) {
+  chrome.tabs
+    .sendMessage(tabId, { action: "downloadStatus", ...status })
+    .catch((err) =>
+      console.warn(`Failed to report download status to tab ${tabId}:`, err)
+    );
+}
+
+/**
+ * Whether a download comes from Plaud's web app: its URL (including blob URLs
+ * the page created) or its referrer is on app.plaud.ai.
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download.
+ * @returns {boolean}
+ */
+function isPlaudDownload(downloadItem) {
+  return [downloadItem.finalUrl, downloadItem.url, downloadItem.referrer].some(
+    (value) => {
+      try {
+        return new URL(value).origin === ALLOWED_ORIGIN;
+      } catch (e) {
+        return false;
+      }
+    }
+  );
+}
+
+/**
+ * Associates a download with the export that triggered it.
+ * DownloadItem carries no tab ID, so unclaimed downloads are matched against
+ * pending exports by start time, preferring the one whose title appears in the filename.
+ * Only a download of the expected file type whose filename names the recording,
+ * or which comes from Plaud, is claimed; anything else is left alone, so an
+ * unrelated download can never complete an export.
+ *
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download to claim.
+ * @returns {number|null} The tab ID of the owning export, or null if it is not ours.
+ */
+function claimDownload(downloadItem) {
+  if (trackedDownloads.has(downloadItem.id)) {
+    return trackedDownloads.get(downloadItem.id);
+  }
+  // Files the extension saves itself are never export downloads
+  if (downloadItem.byExtensionId === chrome.runtime.id) {
+    return null;
+  }
+
+  // The file type is only known once the browser has picked a filename
+  // (onDeterminingFilename claims the download then)
+  const filename = String(downloadItem.filename || "").toLowerCase();
+  if (!filename) {
+    return null;
+  }
+
+  const startedAt = Date.parse(downloadItem.startTime) || Date.now();
+  const filenameKey = normalizeForMatch(downloadItem.filename);
+  const fromPlaud = isPlaudDownload(downloadItem);
+  const candidates = [];
+  for (const [tabId, pending] of pendingDownloads) {
+    // Allow a second of clock slack between the content script and the download manager
+    if (pending.downloadId !== null || startedAt < pending.requestedAt - 1000) {
+      continue;
+    }
+    if (!filename.endsWith(`.${pending.extension || "mp3"}`)) {
+      continue;
+    }
+    const titleKey = normalizeForMatch(pending.title);
+    const titleMatch = !!titleKey && filenameKey.includes(titleKey);
+    if (titleMatch || fromPlaud) {
+      candidates.push({ tabId, pending, titleMatch });
+    }
+  }
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const match =
+    candidates.find(({ titleMatch }) => titleMatch) ||
+    candidates.sort((a, b) => a.pending.requestedAt - b.pending.requestedAt)[0];
+
+  match.pending.downloadId = downloadItem.id;
+  trackedDownloads.set(downloadItem.id, match.tabId);
+  persistDownloadState();
+  console.log(
+    `Download ${downloadItem.id} claimed for "${match.pending.title}" (tab ${match.tabId})`
+  );
+  sendDownloadStatus(match.tabId, {
+    title: match.pending.title,
+    state: "started",
+    downloadId: downloadItem.id,
+  });
+  return match.tabId;
+}
+
+// Claim export downloads as soon as the browser creates them
+chrome.downloads.onCreated.addListener(async (downloadItem) => {
+  await exportStateReady;
+  claimDownload(downloadItem);
+});
+
+// Report the final state of claimed downloads; deletion is only safe after "complete"
+chrome.downloads.onChanged.addListener(async (delta) => {
+  await exportStateReady;
+  const tabId = trackedDownloads.get(delta.id);
+  if (tabId === undefined || !delta.state) {
+    return;
+  }
+  const state = delta.state.current;
+  if (state !== "complete" && state !== "interrupted") {
+    return;
+  }
+
+  const pending = pendingDownloads.get(tabId);
+  trackedDownloads.delete(delta.id);
+  if (!pending || pending.downloadId !== delta.id) {
+    persistDownloadState();
+    return; // The content script already gave up on this download
+  }
+  pendingDownloads.delete(tabId);
+  persistDownloadState();
+
+  try {
+    if (state === "interrupted") {
+      sendDownloadStatus(tabId, {
+        title: pending.title,
+        state: "failed",
+        error: `interrupted (${delta.error?.current || "unknown reason"})`,
+      });
+      return;
+    }
+
+    const [item] = await chrome.downloads.search({ id: delta.id });
+    const fileSize = item ? item.fileSize || item.bytesReceived : 0;
+    const extension = pending.extension || "mp3";
+    if (item && !item.filename.toLowerCase().endsWith(`.${extension}`)) {
+      sendDownloadStatus(tabId, {
+        title: pending.title,
+        state: "failed",
+        error: `saved as ${item.filename}, not a .${extension} file`,
+      });
+      return;
+    }
+    if (!item || item.exists === false || !(fileSize > 0)) {
+      sendDownloadStatus(tabId, {
+        title: pending.title,
+        state: "failed",
+        error: "completed with an empty or missing file",
+      });
+      return;
+    }
+
+    console.log(
+      `Download ${delta.id} for "${pending.title}" verified: ${item.filename} (${fileSize} bytes)`
+    );
+    sendDownloadStatus(tabId, {
+      title: pending.title,
+      state: "complete",
+      downloadId: delta.id,
+      filename: item.filename,
+      fileSize,
+    });
+  } catch (error) {
+    console.error(`Error verifying download ${delta.id}:`, error);
+    sendDownloadStatus(tabId, {
+      title: pending.title,
+      state: "failed",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Routes a download that belongs to an export into the download folder.
+ *
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download being named.
+ * @param {Function} suggest - The onDeterminingFilename callback.
+ * @returns {boolean} Whether a filename was suggested.
+ */
+function suggestExportFilename(downloadItem, suggest) {
   console.log(
     "onDeterminingFilename event triggered for:",
     downloadItem.filename
   );
 
-  // Check if the download originates from a tab where we are actively exporting
-  const originatingTabId = downloadItem.tabId;
-  if (originatingTabId && activeTabIds.has(originatingTabId)) {
+  // Check if the download belongs to a file a tab is currently exporting
+  const originatingTabId = claimDownload(downloadItem);
+  if (originatingTabId !== null) {
     console.log(
       `Download from active export tab ${originatingTabId}. Filename: ${downloadItem.filename}`
     );
 
-    // Basic check if it's likely the audio file we expect (e.g., MP3)
-    // You might need more specific checks based on Plaud's naming patterns if possible
+    // Check that it is the file we expect, in the format chosen for the export
+    const pending = pendingDownloads.get(originatingTabId);
+    const expectedExtension = pending?.extension || "mp3";
     if (
       downloadItem.filename &&
-      downloadItem.filename.toLowerCase().endsWith(".mp3")
+      downloadItem.filename.toLowerCase().endsWith(`.${expectedExtension}`)
     ) {
-      // Construct the new path including the subdirectory
-      // Ensure DOWNLOAD_SUBDIRECTORY does not contain invalid path characters
-      const safeSubdirectory = DOWNLOAD_SUBDIRECTORY.replace(
-        /[\\/:*?"<>|]/g,
-        "_"
-      ); // Basic sanitization
-      const newFilename = `${safeSubdirectory}/${downloadItem.filename}`;
+      // Construct the new path below the download root (and mirrored Plaud folder).
+      // Apply the filename template; without one, keep Plaud's filename
+      // unless the export asked for a specific base name
+      // A tagged MP3 the page downloads again goes where Plaud's would have
+      const newFilename =
+        pending?.savePath ||
+        buildExportPath({
+          root: pending?.root || DEFAULT_EXPORT_OPTIONS.downloadRoot,
+          folder: pending?.folder,
+          template: pending?.template,
+          file: pending?.file,
+          extension: expectedExtension,
+          baseName: pending?.baseName,
+          fallbackName: downloadItem.filename,
+        });
+      // The file is downloaded again with its ID3 tags instead
+      if (pending?.tag) {
+        handOverForTagging(originatingTabId, downloadItem, newFilename);
+        return false;
+      }
       console.log(`Suggesting new filename: ${newFilename}`);
 
       suggest({
@@ -429,24 +1297,37 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
 
       // Note: The 'suggest' function must be called synchronously within this event listener
       // if you are not returning true to indicate an asynchronous response.
-      return; // Suggestion made, exit listener for this item
+      return true; // Suggestion made, exit listener for this item
     } else {
       console.log(
-        `Download from active tab ${originatingTabId}, but filename "${downloadItem.filename}" does not match expected pattern (.mp3). Allowing default.`
+        `Download from active tab ${originatingTabId}, but filename "${downloadItem.filename}" does not match expected pattern (.${expectedExtension}). Allowing default.`
       );
     }
   } else {
     console.log(
       `Download filename "${
         downloadItem.filename
-      }" did not originate from a tracked active export tab (${
-        originatingTabId ? originatingTabId : "N/A"
-      }). Allowing default.`
+      }" does not belong to a tracked export. Allowing default.`
     );
   }
 
   // If the download doesn't meet the criteria, let the browser handle it normally.
   // No need to call suggest() here; simply returning lets the default behavior proceed.
+  return false;
+}
+
+// --- NEW: Listener for determining download filename ---
+chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
+  if (exportStateRestored) {
+    suggestExportFilename(downloadItem, suggest);
+    return;
+  }
+  // Right after a worker restart, wait for the persisted download state and
+  // suggest asynchronously (suggest() without arguments keeps the default)
+  exportStateReady.then(() => {
+    if (!suggestExportFilename(downloadItem, suggest)) suggest();
+  });
+  return true;
 });
 
 console.log("Background script loaded and listeners initialized."); // Log script load
@@ -0,0 +1,31 @@
+/**
+ * common/csvUtils.js
+ * Builds CSV text (RFC 4180) from rows of objects, for the reports users can
+ * download.
+ */
+
+/**
+ * Quotes a value for CSV when it contains a comma, quote or line break.
+ *
+ * @param {*} value - The value; null and undefined become an empty field.
+ * @returns {string} The CSV field.
+ */
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds CSV text with a header row.
+ *
+ * @param {Object[]} rows - One object per line.
+ * @param {string[]} columns - The keys to write, in order; also the header row.
+ * @returns {string} The CSV text, lines separated by CRLF.
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(formatCsvField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatCsvField(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
@@ -96,39 +96,6 @@ export async function waitForCondition(
   );
 }
 
-/**
- * Finds the first element that matches the given XPath expression.
- * Waits briefly if not immediately found.
- *
- * @param {string} xpath - The XPath string to evaluate.
- * @param {number} [timeout=5000] - Maximum wait time in milliseconds.
- * @returns {Promise<Element|null>} - The first matching element or null if none found within timeout.
- */
-export async function findElementByXPath(xpath, timeout = 5000) {
-  let element = null;
-  try {
-    await waitForCondition(
-      () => {
-        element = document.evaluate(
-          xpath,
-          document,
-          null,
-          XPathResult.FIRST_ORDERED_NODE_TYPE,
-          null
-        ).singleNodeValue;
-        return !!element;
-      },
-      timeout,
-      `XPath: ${xpath}`
-    );
-    return element;
-  } catch (e) {
-    // If timeout occurs, element will still be null.
-    console.warn(`Element not found for XPath "${xpath}" within timeout.`);
-    return null;
-  }
-}
-
 /**
  * Simulates a click on a given element with visual feedback.
  * Scrolls the element into view, waits for it to be potentially stable, clicks, and waits for potential consequences.
@@ -0,0 +1,118 @@
+/**
+ * common/exportFilters.js
+ * Criteria that limit which recordings an export run handles. The popup
+ * edits them, they travel inside the export options, and runExportAll
+ * applies them to the metadata read from each list row.
+ */
+
+/** Filters that let every recording through. */
+export const DEFAULT_EXPORT_FILTERS = {
+  title: "", // Substring (case-insensitive) or regular expression
+  titleIsRegex: false,
+  dateFrom: "", // YYYY-MM-DD, inclusive
+  dateTo: "", // YYYY-MM-DD, inclusive
+  minDurationMinutes: null,
+  maxDurationMinutes: null,
+};
+
+const DATE_INPUT_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Returns a non-negative number, or null for empty and invalid values. */
+function toMinutes(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const minutes = Number(value);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+}
+
+/**
+ * Returns a copy of the filters with invalid values replaced by their defaults.
+ *
+ * @param {Object} [filters={}] - Filters as received from a message or storage.
+ * @returns {Object} The normalized filters.
+ */
+export function normalizeExportFilters(filters = {}) {
+  const source = filters || {};
+  return {
+    title: typeof source.title === "string" ? source.title.trim() : "",
+    titleIsRegex: source.titleIsRegex === true,
+    dateFrom: DATE_INPUT_PATTERN.test(source.dateFrom) ? source.dateFrom : "",
+    dateTo: DATE_INPUT_PATTERN.test(source.dateTo) ? source.dateTo : "",
+    minDurationMinutes: toMinutes(source.minDurationMinutes),
+    maxDurationMinutes: toMinutes(source.maxDurationMinutes),
+  };
+}
+
+/**
+ * Whether any criterion is set.
+ *
+ * @param {Object} filters - Normalized filters.
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return (
+    !!filters.title ||
+    !!filters.dateFrom ||
+    !!filters.dateTo ||
+    filters.minDurationMinutes !== null ||
+    filters.maxDurationMinutes !== null
+  );
+}
+
+/**
+ * Compiles the filters into a predicate over recording metadata. Recordings
+ * whose date or duration could not be read never match a date or duration
+ * criterion.
+ *
+ * @param {Object} filters - Normalized filters.
+ * @returns {(metadata: {title: string, recordingDate: string|null, durationSeconds: number|null})
+ *   => string|null} Returns null if the recording matches, otherwise the reason it does not.
+ * @throws {Error} - If the title is not a valid regular expression.
+ */
+export function compileExportFilters(filters) {
+  let titleMatcher = null;
+  if (filters.title && filters.titleIsRegex) {
+    let pattern;
+    try {
+      pattern = new RegExp(filters.title, "i");
+    } catch (e) {
+      throw new Error(`Invalid title pattern: ${e.message}`);
+    }
+    titleMatcher = (title) => pattern.test(title);
+  } else if (filters.title) {
+    const needle = filters.title.toLowerCase();
+    titleMatcher = (title) => title.toLowerCase().includes(needle);
+  }
+  // Local day boundaries, matching the dates shown in the list
+  const from = filters.dateFrom
+    ? new Date(`${filters.dateFrom}T00:00:00`).getTime()
+    : null;
+  const to = filters.dateTo
+    ? new Date(`${filters.dateTo}T23:59:59.999`).getTime()
+    : null;
+
+  return (metadata) => {
+    if (titleMatcher && !titleMatcher(metadata.title)) {
+      return "title does not match";
+    }
+    if (from !== null || to !== null) {
+      const recordedAt = metadata.recordingDate
+        ? Date.parse(metadata.recordingDate)
+        : NaN;
+      if (isNaN(recordedAt)) return "recording date unknown";
+      if (from !== null && recordedAt < from) return "recorded before range";
+      if (to !== null && recordedAt > to) return "recorded after range";
+    }
+    const { minDurationMinutes, maxDurationMinutes } = filters;
+    if (minDurationMinutes !== null || maxDurationMinutes !== null) {
+      if (metadata.durationSeconds === null) return "duration unknown";
+      const minutes = metadata.durationSeconds / 60;
+      if (minDurationMinutes !== null && minutes < minDurationMinutes) {
+        return "shorter than minimum";
+      }
+      if (maxDurationMinutes !== null && minutes > maxDurationMinutes) {
+        return "longer than maximum";
+      }
+    }
+    return null;
+  };
+}
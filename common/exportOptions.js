@@ -0,0 +1,133 @@
+/**
+ * common/exportOptions.js
+ * Export options shared by the popup, the background service worker and the
+ * content script. Options travel with the runExportAll message, so every
+ * receiver normalizes them with normalizeExportOptions before use.
+ */
+
+import {
+  DEFAULT_EXPORT_FILTERS,
+  normalizeExportFilters,
+} from "./exportFilters.js";
+import {
+  MAX_FILENAME_TEMPLATE_LENGTH,
+  sanitizeRelativePath,
+} from "./filenameTemplate.js";
+
+/**
+ * Supported export modes:
+ * - EXPORT_AND_DELETE: download each recording, then delete it from Plaud.
+ * - EXPORT_ONLY: download each recording and leave it in Plaud.
+ */
+export const EXPORT_MODES = {
+  EXPORT_AND_DELETE: "exportAndDelete",
+  EXPORT_ONLY: "exportOnly",
+};
+
+/**
+ * Audio formats offered by Plaud's export dialog, keyed by file extension.
+ * `label` is the text of the option in the format menu.
+ */
+export const AUDIO_FORMATS = {
+  mp3: { label: "MP3", extension: "mp3" },
+  wav: { label: "WAV", extension: "wav" },
+};
+
+/**
+ * Transcript formats offered by Plaud's transcript export, keyed by file extension.
+ * Transcripts are only exported when one of these is chosen.
+ */
+export const TRANSCRIPT_FORMATS = {
+  txt: { label: "TXT", extension: "txt" },
+  srt: { label: "SRT", extension: "srt" },
+  vtt: { label: "VTT", extension: "vtt" },
+};
+
+/** Options used when the popup has not stored any preferences yet. */
+export const DEFAULT_EXPORT_OPTIONS = {
+  mode: EXPORT_MODES.EXPORT_AND_DELETE,
+  audioFormat: "mp3",
+  transcriptFormat: "", // No transcript
+  exportSummary: false, // Save the AI summary as a Markdown note
+  metadataSidecar: false, // Save each recording's metadata as a <basename>.json sidecar
+  id3Tags: false, // Write ID3 tags (title, date, album, recording id) into MP3 files
+  manifestCsv: false, // Also write the end-of-run manifest as CSV
+  filenameTemplate: "", // Keep Plaud's filenames (see common/filenameTemplate.js)
+  downloadRoot: "PlaudExports", // Relative to the browser's download directory
+  mirrorFolders: false, // Add a subdirectory named after the Plaud folder
+  dryRun: false, // Only check that every control can be found; export and delete nothing
+  filters: DEFAULT_EXPORT_FILTERS, // Which recordings to handle (see common/exportFilters.js)
+  onlyRecordingIds: [], // Handle only these recordings (retrying failures); empty handles all
+  onlyTitles: [], // Likewise by title, for ledger entries recorded before recording ids
+};
+
+/** Storage key for the options last chosen in the popup. */
+export const EXPORT_PREFERENCES_KEY = "exportPreferences";
+
+/** Storage key for the report of the last dry run. */
+export const DRY_RUN_REPORT_KEY = "dryRunReport";
+
+/**
+ * Returns a copy of the options with unknown keys dropped and invalid values
+ * replaced by their defaults.
+ *
+ * @param {Object} [options={}] - Options as received from a message or storage.
+ * @returns {Object} The normalized options.
+ */
+export function normalizeExportOptions(options = {}) {
+  const source = options || {};
+  return {
+    mode: Object.values(EXPORT_MODES).includes(source.mode)
+      ? source.mode
+      : DEFAULT_EXPORT_OPTIONS.mode,
+    audioFormat: Object.hasOwn(AUDIO_FORMATS, source.audioFormat)
+      ? source.audioFormat
+      : DEFAULT_EXPORT_OPTIONS.audioFormat,
+    transcriptFormat: Object.hasOwn(TRANSCRIPT_FORMATS, source.transcriptFormat)
+      ? source.transcriptFormat
+      : DEFAULT_EXPORT_OPTIONS.transcriptFormat,
+    exportSummary:
+      typeof source.exportSummary === "boolean"
+        ? source.exportSummary
+        : DEFAULT_EXPORT_OPTIONS.exportSummary,
+    metadataSidecar:
+      typeof source.metadataSidecar === "boolean"
+        ? source.metadataSidecar
+        : DEFAULT_EXPORT_OPTIONS.metadataSidecar,
+    id3Tags:
+      typeof source.id3Tags === "boolean"
+        ? source.id3Tags
+        : DEFAULT_EXPORT_OPTIONS.id3Tags,
+    manifestCsv:
+      typeof source.manifestCsv === "boolean"
+        ? source.manifestCsv
+        : DEFAULT_EXPORT_OPTIONS.manifestCsv,
+    filenameTemplate:
+      typeof source.filenameTemplate === "string"
+        ? source.filenameTemplate.trim().slice(0, MAX_FILENAME_TEMPLATE_LENGTH)
+        : DEFAULT_EXPORT_OPTIONS.filenameTemplate,
+    downloadRoot:
+      sanitizeRelativePath(source.downloadRoot) ||
+      DEFAULT_EXPORT_OPTIONS.downloadRoot,
+    mirrorFolders:
+      typeof source.mirrorFolders === "boolean"
+        ? source.mirrorFolders
+        : DEFAULT_EXPORT_OPTIONS.mirrorFolders,
+    dryRun:
+      typeof source.dryRun === "boolean"
+        ? source.dryRun
+        : DEFAULT_EXPORT_OPTIONS.dryRun,
+    filters: normalizeExportFilters(source.filters),
+    onlyRecordingIds: normalizeStringList(source.onlyRecordingIds),
+    onlyTitles: normalizeStringList(source.onlyTitles),
+  };
+}
+
+// Keeps the non-empty strings of a list, trimmed
+function normalizeStringList(list) {
+  return Array.isArray(list)
+    ? list
+        .filter((value) => typeof value === "string" && value.trim())
+        .map((value) => value.trim())
+    : [];
+}
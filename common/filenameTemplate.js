@@ -0,0 +1,149 @@
+/**
+ * common/filenameTemplate.js
+ * Filename templates for exported files, shared by the background (which
+ * applies them when routing downloads) and the popup (live preview).
+ *
+ * A template such as "{date}_{title}" or "{yyyy}/{mm}/{title}" is rendered
+ * per file; "/" creates subdirectories below the export folder. The
+ * extension is appended unless the template already ends with "{ext}".
+ *
+ * Saved files land in <download root>/[<Plaud folder>/]<rendered template>,
+ * relative to the browser's download directory.
+ */
+
+/** Tokens a template may use, with a short description for the popup. */
+export const FILENAME_TEMPLATE_TOKENS = {
+  title: "Recording title",
+  date: "Recording date (YYYY-MM-DD)",
+  yyyy: "Recording year",
+  mm: "Recording month (01-12)",
+  dd: "Recording day (01-31)",
+  index: "Position in this export run (001, 002, ...)",
+  format: "File format (e.g. mp3)",
+  ext: "File extension (same as {format})",
+  id: "Recording id",
+};
+
+// Longest template accepted from the popup
+export const MAX_FILENAME_TEMPLATE_LENGTH = 200;
+
+/**
+ * Replaces characters that are invalid in file and directory names, and
+ * drops trailing dots and spaces, which Windows does not allow.
+ * @param {string} value - A single path segment.
+ * @returns {string} The sanitized segment.
+ */
+export function sanitizePathSegment(value) {
+  return String(value)
+    .replace(/[\u0000-\u001f\\/:*?"<>|]/g, "_")
+    .replace(/^\.+/, "_")
+    .trim()
+    .replace(/[. ]+$/, "");
+}
+
+/**
+ * Sanitizes a relative directory path segment by segment, dropping empty,
+ * "." and ".." segments.
+ * @param {string} path - A path such as "Archive/Plaud".
+ * @returns {string} The sanitized path, or "" if nothing is left.
+ */
+export function sanitizeRelativePath(path) {
+  return String(path || "")
+    .split(/[\\/]/)
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .map((segment) => sanitizePathSegment(segment))
+    .filter(Boolean)
+    .join("/");
+}
+
+/**
+ * Renders a template for one file.
+ *
+ * @param {string} template - The filename template.
+ * @param {Object} file - Values for the tokens.
+ * @param {string} file.title - The recording title.
+ * @param {string} file.extension - The file extension (without dot).
+ * @param {string|null} [file.recordingDate] - ISO date of the recording; the
+ *   current date is used when unknown.
+ * @param {number} [file.index] - 1-based position in the export run.
+ * @param {string|null} [file.id] - The recording id (see getRecordingId in
+ *   features/audioExport/recordingMetadata.js), e.g. "id:abc123".
+ * @returns {string} The relative path, with sanitized segments and the extension.
+ */
+export function renderFilenameTemplate(template, file) {
+  const parsedDate = file.recordingDate ? new Date(file.recordingDate) : null;
+  const date =
+    parsedDate && !isNaN(parsedDate.getTime()) ? parsedDate : new Date();
+  const yyyy = String(date.getFullYear());
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  const values = {
+    title: file.title || "Untitled",
+    date: `${yyyy}-${mm}-${dd}`,
+    yyyy,
+    mm,
+    dd,
+    index: file.index ? String(file.index).padStart(3, "0") : "",
+    format: file.extension,
+    ext: file.extension,
+    id: file.id || "",
+  };
+
+  // Token values are sanitized on their own so a "/" in a title cannot add a directory
+  const rendered = String(template).replace(/\{(\w+)\}/g, (match, token) =>
+    Object.hasOwn(values, token) ? sanitizePathSegment(values[token]) : match
+  );
+  // Sanitize each segment too so the template cannot escape the export folder
+  const segments = rendered
+    .split("/")
+    .map((segment) => sanitizePathSegment(segment))
+    .filter(Boolean);
+  if (segments.length === 0) {
+    segments.push(sanitizePathSegment(values.title) || "Untitled");
+  }
+
+  const path = segments.join("/");
+  const suffix = `.${file.extension}`;
+  return path.toLowerCase().endsWith(suffix) ? path : `${path}${suffix}`;
+}
+
+/**
+ * Builds the path (relative to the browser's download directory) a file is saved under.
+ *
+ * @param {Object} request - What is being saved.
+ * @param {string} request.root - The download root (e.g. "PlaudExports").
+ * @param {string} [request.folder] - Plaud folder to mirror as a subdirectory, if any.
+ * @param {string} [request.template] - The filename template; empty keeps `fallbackName`.
+ * @param {Object} [request.file] - Token values (see renderFilenameTemplate).
+ * @param {string} request.extension - The file extension (without dot).
+ * @param {string} [request.baseName] - Filename without extension that replaces the
+ *   rendered name, keeping its directory (puts a transcript next to its audio even
+ *   when the audio was uniquified).
+ * @param {string} [request.fallbackName] - Filename used when there is no template or base name.
+ * @returns {string} The relative path.
+ */
+export function buildExportPath({
+  root,
+  folder,
+  template,
+  file,
+  extension,
+  baseName,
+  fallbackName,
+}) {
+  let directory = [sanitizeRelativePath(root), sanitizePathSegment(folder || "")]
+    .filter(Boolean)
+    .map((segment) => `${segment}/`)
+    .join("");
+  let name = fallbackName;
+  if (template) {
+    const rendered = renderFilenameTemplate(template, { ...file, extension });
+    const slashIndex = rendered.lastIndexOf("/");
+    directory += slashIndex >= 0 ? rendered.slice(0, slashIndex + 1) : "";
+    name = rendered.slice(slashIndex + 1);
+  }
+  if (baseName) {
+    name = `${sanitizePathSegment(baseName)}.${extension}`;
+  }
+  return `${directory}${name}`;
+}
@@ -0,0 +1,139 @@
+/**
+ * common/id3Writer.js
+ * Minimal ID3v2.3 writer for MP3 files: replaces any ID3v2 tag at the start
+ * of the file with one holding the given text frames. Text is written as
+ * UTF-16 with a byte order mark, which every ID3v2.3 reader understands.
+ */
+
+const ID3_HEADER_SIZE = 10;
+// Text encoding byte for UTF-16 with BOM
+const UTF16_ENCODING = 1;
+
+/**
+ * Encodes text as UTF-16LE with a byte order mark.
+ */
+function encodeUtf16(text, terminated = false) {
+  const value = String(text);
+  const bytes = new Uint8Array(2 + value.length * 2 + (terminated ? 2 : 0));
+  bytes[0] = 0xff;
+  bytes[1] = 0xfe;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    bytes[2 + i * 2] = code & 0xff;
+    bytes[3 + i * 2] = code >> 8;
+  }
+  return bytes;
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(
+    parts.reduce((total, part) => total + part.length, 0)
+  );
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function asciiBytes(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Builds one ID3v2.3 frame (frame sizes are plain 32-bit integers in v2.3).
+ */
+function buildFrame(id, data) {
+  const header = new Uint8Array(10);
+  header.set(asciiBytes(id), 0);
+  new DataView(header.buffer).setUint32(4, data.length);
+  return concatBytes([header, data]);
+}
+
+function buildTextFrame(id, text) {
+  return buildFrame(
+    id,
+    concatBytes([Uint8Array.of(UTF16_ENCODING), encodeUtf16(text)])
+  );
+}
+
+// COMM: encoding, language, empty short description, then the comment text
+function buildCommentFrame(text) {
+  return buildFrame(
+    "COMM",
+    concatBytes([
+      Uint8Array.of(UTF16_ENCODING),
+      asciiBytes("eng"),
+      encodeUtf16("", true),
+      encodeUtf16(text),
+    ])
+  );
+}
+
+/**
+ * Returns the size of the ID3v2 tag at the start of an MP3 file, header and
+ * footer included, or 0 if there is none.
+ *
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {number} The tag size in bytes.
+ */
+export function getId3TagSize(bytes) {
+  if (
+    bytes.length < ID3_HEADER_SIZE ||
+    bytes[0] !== 0x49 || // "I"
+    bytes[1] !== 0x44 || // "D"
+    bytes[2] !== 0x33 // "3"
+  ) {
+    return 0;
+  }
+  // Tag size is "syncsafe": 7 bits per byte
+  const size =
+    (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  const hasFooter = (bytes[5] & 0x10) !== 0;
+  return ID3_HEADER_SIZE + size + (hasFooter ? ID3_HEADER_SIZE : 0);
+}
+
+/**
+ * Writes ID3v2.3 tags into an MP3 file, replacing any existing ID3v2 tag.
+ * Empty values are left out.
+ *
+ * @param {Uint8Array} audioBytes - The MP3 file content.
+ * @param {Object} tags
+ * @param {string} [tags.title] - Title (TIT2).
+ * @param {string} [tags.album] - Album (TALB).
+ * @param {string|null} [tags.recordingDate] - ISO date of the recording, written
+ *   as year (TYER), day and month (TDAT) and time (TIME), in local time.
+ * @param {string} [tags.comment] - Comment (COMM).
+ * @returns {Uint8Array} The tagged file content.
+ */
+export function writeId3Tags(audioBytes, tags) {
+  const frames = [];
+  if (tags.title) frames.push(buildTextFrame("TIT2", tags.title));
+  if (tags.album) frames.push(buildTextFrame("TALB", tags.album));
+
+  const date = tags.recordingDate ? new Date(tags.recordingDate) : null;
+  if (date && !isNaN(date.getTime())) {
+    const pad = (value) => String(value).padStart(2, "0");
+    const dayMonth = `${pad(date.getDate())}${pad(date.getMonth() + 1)}`;
+    const time = `${pad(date.getHours())}${pad(date.getMinutes())}`;
+    frames.push(buildTextFrame("TYER", String(date.getFullYear())));
+    frames.push(buildTextFrame("TDAT", dayMonth));
+    frames.push(buildTextFrame("TIME", time));
+  }
+  if (tags.comment) frames.push(buildCommentFrame(tags.comment));
+
+  const body = concatBytes(frames);
+  const header = new Uint8Array(ID3_HEADER_SIZE);
+  header.set(asciiBytes("ID3"), 0);
+  header[3] = 3; // Version 2.3.0
+  header[4] = 0;
+  header[5] = 0; // No flags
+  header[6] = (body.length >> 21) & 0x7f;
+  header[7] = (body.length >> 14) & 0x7f;
+  header[8] = (body.length >> 7) & 0x7f;
+  header[9] = body.length & 0x7f;
+
+  const audio = audioBytes.subarray(getId3TagSize(audioBytes));
+  return concatBytes([header, body, audio]);
+}
@@ -0,0 +1,109 @@
+/**
+ * common/markdownUtils.js
+ * Minimal HTML → Markdown conversion and YAML front matter for exported notes.
+ */
+
+/**
+ * Converts rendered HTML content to Markdown. Handles headings, paragraphs,
+ * line breaks, (nested) lists, emphasis, inline code, code blocks and links;
+ * any other element contributes its children.
+ *
+ * @param {Element} element - The element whose content is converted.
+ * @returns {string} The Markdown text.
+ */
+export function htmlToMarkdown(element) {
+  return convertChildren(element, 0)
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/** Converts all child nodes of a node. */
+function convertChildren(node, listDepth) {
+  return Array.from(node.childNodes)
+    .map((child) => convertNode(child, listDepth))
+    .join("");
+}
+
+/** Converts a single DOM node. */
+function convertNode(node, listDepth) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent.replace(/\s+/g, " ");
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return "";
+  }
+
+  const tag = node.tagName.toLowerCase();
+  const inner = () => convertChildren(node, listDepth).trim();
+
+  switch (tag) {
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6":
+      return `\n\n${"#".repeat(Number(tag[1]))} ${inner()}\n\n`;
+    case "p":
+    case "div":
+    case "section":
+      return `\n\n${inner()}\n\n`;
+    case "br":
+      return "\n";
+    case "strong":
+    case "b":
+      return `**${inner()}**`;
+    case "em":
+    case "i":
+      return `*${inner()}*`;
+    case "code":
+      return `\`${node.textContent}\``;
+    case "pre":
+      return `\n\n\`\`\`\n${node.textContent.trim()}\n\`\`\`\n\n`;
+    case "a": {
+      const href = node.getAttribute("href");
+      return href ? `[${inner()}](${href})` : inner();
+    }
+    case "ul":
+    case "ol":
+      return `\n${convertList(node, listDepth, tag === "ol")}\n`;
+    case "script":
+    case "style":
+      return "";
+    default:
+      return convertChildren(node, listDepth);
+  }
+}
+
+/** Converts a list element, indenting nested lists by two spaces per level. */
+function convertList(listNode, listDepth, ordered) {
+  const indent = "  ".repeat(listDepth);
+  return Array.from(listNode.children)
+    .filter((child) => child.tagName.toLowerCase() === "li")
+    .map((item, index) => {
+      const marker = ordered ? `${index + 1}.` : "-";
+      const text = convertChildren(item, listDepth + 1)
+        .replace(/\n{2,}/g, "\n")
+        .trim();
+      return `${indent}${marker} ${text}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Builds a YAML front matter block. Values are written as double-quoted
+ * scalars (JSON strings are valid YAML); null and undefined values are skipped.
+ *
+ * @param {Object<string, string|number|null>} fields - Front matter fields in output order.
+ * @returns {string} The front matter, including the surrounding "---" lines.
+ */
+export function buildFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) =>
+      typeof value === "number"
+        ? `${key}: ${value}`
+        : `${key}: ${JSON.stringify(String(value))}`
+    );
+  return ["---", ...lines, "---"].join("\n");
+}
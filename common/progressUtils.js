@@ -0,0 +1,99 @@
+/**
+ * common/progressUtils.js
+ * Helpers for reporting export progress, shared by the background (notifications),
+ * the popup (status display) and the export itself (in-page status indicator).
+ */
+
+/** Export statuses during which the export has not finished. */
+export const UNFINISHED_EXPORT_STATUSES = ["running", "paused"];
+
+/**
+ * Returns how long an export has been actively running, excluding pauses.
+ *
+ * @param {Object} exportData - Export state kept by the background
+ *   ({ startTime, pausedDuration?, pausedAt? }).
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {number} Active running time in milliseconds.
+ */
+export function getActiveDuration(exportData, now = Date.now()) {
+  const currentPause = exportData.pausedAt ? now - exportData.pausedAt : 0;
+  return Math.max(
+    0,
+    now - exportData.startTime - (exportData.pausedDuration || 0) - currentPause
+  );
+}
+
+/**
+ * Formats a duration for display, e.g. "1h 2m", "12m 5s" or "40s".
+ *
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+export function formatElapsed(ms) {
+  const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+/** Number of recent files the time estimate averages over, so it follows the current pace. */
+export const ETA_WINDOW_FILES = 10;
+
+/**
+ * Returns the average duration of the most recent files.
+ *
+ * @param {number[]} durations - Per-file durations in milliseconds, oldest first.
+ * @returns {number|null} Average of the last ETA_WINDOW_FILES durations, or null
+ *   before the first file has finished.
+ */
+export function averageFileDuration(durations) {
+  const recent = durations.slice(-ETA_WINDOW_FILES);
+  if (recent.length === 0) return null;
+  return Math.round(recent.reduce((sum, ms) => sum + ms, 0) / recent.length);
+}
+
+/**
+ * Works out how far an export has got.
+ *
+ * @param {Object} exportData - Export stats ({ filesProcessed, filesErrored,
+ *   filesSkipped, totalFiles, averageFileMs }).
+ * @returns {{done: number, total: number, percent: number,
+ *   remainingMs: number|null}|null} Files done out of the total, percent complete
+ *   and the estimated time remaining (null until a file has finished), or null
+ *   while the total is unknown.
+ */
+export function getProgress(exportData) {
+  const done =
+    (exportData.filesProcessed || 0) +
+    (exportData.filesErrored || 0) +
+    (exportData.filesSkipped || 0);
+  const total = Math.max(exportData.totalFiles || 0, done);
+  if (!total) return null;
+  return {
+    done,
+    total,
+    percent: Math.floor((done / total) * 100),
+    // Files still to be skipped make this an overestimate
+    remainingMs: exportData.averageFileMs
+      ? (total - done) * exportData.averageFileMs
+      : null,
+  };
+}
+
+/**
+ * Formats progress for display, e.g. "12 of 40 files (30%), about 5m 10s left".
+ *
+ * @param {Object} progress - Result of getProgress.
+ * @returns {string} The formatted progress.
+ */
+export function formatProgress(progress) {
+  const { done, total, percent, remainingMs } = progress;
+  const eta =
+    remainingMs !== null && done < total
+      ? `, about ${formatElapsed(remainingMs)} left`
+      : "";
+  return `${done} of ${total} files (${percent}%)${eta}`;
+}
@@ -0,0 +1,546 @@
+/**
+ * common/selectorRegistry.js
+ * Central registry of the Plaud UI elements the exporter works with. Each
+ * target has an ordered list of locate strategies (XPath, CSS, text, ARIA
+ * label); the first one that matches wins. Users can add overrides, stored in
+ * chrome.storage.local, which are tried before the built-in strategies, and
+ * the strategy that last matched each target is recorded for diagnostics.
+ *
+ * Strategy shape (all fields optional, at least one of xpath/css/text/aria):
+ * {
+ *   xpath: "//*[@id='rightBox']", // The element, or the scope for css/text/aria when combined
+ *   css: "li",                    // Candidate elements
+ *   text: "{formatLabel}",        // Candidates must contain this text (innermost match wins);
+ *                                 // a variable holding an array tries each value in order
+ *   exact: false,                 // Require the whole (trimmed) text to equal `text`
+ *   aria: "Share",                // Candidates' aria-label must contain this (case-insensitive)
+ *   within: "sharePopover",       // Search inside an element located earlier (by target id)
+ *   visible: false,               // Only accept elements that are rendered
+ *   afterMs: 0,                   // Only try this strategy once the search has waited this long
+ * }
+ */
+import { loadData, saveData } from "./storageUtils.js";
+
+/** Storage key for user overrides: { [targetId]: strategy[] }. */
+export const SELECTOR_OVERRIDES_KEY = "selectorOverrides";
+
+/** Storage key for the strategy that last matched each target. */
+export const SELECTOR_MATCHES_KEY = "selectorMatches";
+
+/** Strategy kinds an override can be written with, e.g. "css: button.share". */
+export const STRATEGY_KINDS = ["xpath", "css", "text", "aria"];
+
+/**
+ * Built-in strategies per target, in order of preference. The positional
+ * XPaths are fragile but fast and unambiguous while the layout holds; the
+ * later strategies are fallbacks. Optional targets only exist on some pages
+ * (e.g. the list's pager), so not finding them is not an error.
+ */
+export const SELECTOR_TARGETS = {
+  fileRow: {
+    label: "File row",
+    strategies: [{ css: ".fileInfo" }, { css: "[class*='fileInfo']" }],
+  },
+  fileTitle: {
+    label: "File title",
+    strategies: [
+      { within: "fileRow", css: ".title" },
+      { within: "fileRow", css: "[class*='title']" },
+    ],
+  },
+  loadMoreButton: {
+    label: "Load more (long lists)",
+    optional: true,
+    strategies: [
+      {
+        css: "button, a, [role='button']",
+        text: "{loadMoreTexts}",
+        visible: true,
+      },
+    ],
+  },
+  nextPageButton: {
+    label: "Next page (paginated lists)",
+    optional: true,
+    strategies: [
+      { css: ".el-pagination .btn-next:not([disabled])", visible: true },
+      { css: "[aria-label='Next page']:not([disabled])", visible: true },
+    ],
+  },
+  firstPageButton: {
+    label: "First page (paginated lists)",
+    optional: true,
+    strategies: [
+      { css: ".el-pagination .el-pager li.number:first-child", visible: true },
+      { css: "[aria-label='Page 1']", visible: true },
+    ],
+  },
+  shareIcon: {
+    label: "Share icon",
+    strategies: [
+      {
+        xpath:
+          '//*[@id="rightBox"]/div[2]/div[1]/span[1]/span[1]/div[1]/div[1]',
+      },
+      { aria: "Share" },
+      { css: '[data-testid="share-button"]' },
+    ],
+  },
+  sharePopover: {
+    label: "Share menu",
+    strategies: [
+      { css: '[id^="el-popover-"]', visible: true },
+      { css: "[role='menu']", visible: true },
+    ],
+  },
+  exportOption: {
+    label: "Export Audio/Transcript item",
+    strategies: [
+      { within: "sharePopover", css: "li", text: "{optionTexts}" },
+      {
+        within: "sharePopover",
+        css: "[role='menuitem']",
+        text: "{optionTexts}",
+      },
+    ],
+  },
+  formatOption: {
+    label: "Format option",
+    strategies: [
+      {
+        xpath:
+          '//*[@id="rightBox"]/div[2]/div[1]/div[2]/div[1]/div[2]/div[1]/ul[1]',
+        css: "li",
+        text: "{formatLabel}",
+      },
+      // Anywhere on the page, only if the menu is not where expected
+      { css: "li", text: "{formatLabel}", afterMs: 1000 },
+      { css: "div", text: "{formatLabel}", afterMs: 1000 },
+    ],
+  },
+  exportButton: {
+    label: "Final Export button",
+    strategies: [
+      {
+        xpath:
+          '//*[@id="rightBox"]/div[2]/div[1]/div[2]/div[1]/div[2]/div[1]/div[3]',
+      },
+      { css: "button, [role='button']", text: "Export", exact: true },
+      { css: "div", text: "Export", exact: true, afterMs: 1000 },
+    ],
+  },
+  deleteMenuItem: {
+    label: "Delete menu item",
+    strategies: [
+      { css: ".context-menu .menu-item", text: "{deleteTexts}" },
+      { css: ".dropdown-menu .menu-item", text: "{deleteTexts}" },
+      { css: "[role='menu'] [role='menuitem']", text: "{deleteTexts}" },
+      // Broaden the search if no menu item turns up
+      {
+        css: "div, span, li, button",
+        text: "{deleteTexts}",
+        exact: true,
+        afterMs: 5000,
+      },
+    ],
+  },
+};
+
+// Overrides as last loaded, for synchronous lookups (file rows and titles)
+let cachedOverrides = {};
+// Strategy last recorded per target, so unchanged matches are not rewritten
+const recordedMatches = new Map();
+// Strategies that threw, so each broken one is only reported once
+const reportedBrokenStrategies = new Set();
+
+/**
+ * Replaces {name} placeholders with values from `vars`; arrays are joined with " / ".
+ * @param {string} template - Text with placeholders.
+ * @param {Object} vars - Variable values.
+ * @returns {string} The interpolated text.
+ */
+export function interpolate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+    if (!Object.hasOwn(vars, name)) return match;
+    const value = vars[name];
+    return Array.isArray(value) ? value.join(" / ") : String(value);
+  });
+}
+
+/**
+ * Returns the texts a strategy looks for: a lone "{name}" referring to an
+ * array expands to every value, anything else is interpolated.
+ */
+function resolveTexts(text, vars) {
+  const variable = /^\{(\w+)\}$/.exec(text);
+  if (variable && Array.isArray(vars[variable[1]])) {
+    return vars[variable[1]];
+  }
+  return [interpolate(text, vars)];
+}
+
+function isRendered(element) {
+  const style = window.getComputedStyle(element);
+  const rect = element.getBoundingClientRect();
+  return (
+    style.display !== "none" &&
+    style.visibility !== "hidden" &&
+    rect.width > 0 &&
+    rect.height > 0
+  );
+}
+
+/**
+ * Returns every element one strategy matches in the current DOM. A strategy
+ * with an invalid CSS selector or XPath (e.g. an override saved before
+ * overrides were checked) matches nothing, so the next strategy is tried.
+ *
+ * @param {Object} strategy - A locate strategy.
+ * @param {Object} [vars={}] - Variables for text placeholders.
+ * @param {Object<string, Element>} [elements={}] - Elements located earlier, for `within`.
+ * @returns {Element[]} The matching elements, in document order.
+ */
+export function queryStrategy(strategy, vars = {}, elements = {}) {
+  try {
+    return matchStrategy(strategy, vars, elements);
+  } catch (error) {
+    const description = describeStrategy(strategy);
+    if (!reportedBrokenStrategies.has(description)) {
+      reportedBrokenStrategies.add(description);
+      console.warn(`Skipping broken locator ${description}:`, error.message);
+    }
+    return [];
+  }
+}
+
+function matchStrategy(strategy, vars, elements) {
+  let scope = document;
+  if (strategy.within) {
+    scope = elements[strategy.within];
+    if (!scope || !scope.isConnected) return [];
+  }
+  if (strategy.xpath) {
+    const node = document.evaluate(
+      strategy.xpath,
+      scope,
+      null,
+      XPathResult.FIRST_ORDERED_NODE_TYPE,
+      null
+    ).singleNodeValue;
+    if (!node) return [];
+    if (!strategy.css && !strategy.text && !strategy.aria) {
+      return !strategy.visible || isRendered(node) ? [node] : [];
+    }
+    scope = node;
+  }
+
+  const css = strategy.css || (strategy.aria ? "[aria-label]" : "*");
+  let candidates = Array.from(scope.querySelectorAll(css));
+  if (strategy.aria) {
+    const label = interpolate(strategy.aria, vars).toLowerCase();
+    candidates = candidates.filter((el) =>
+      (el.getAttribute("aria-label") || "").toLowerCase().includes(label)
+    );
+  }
+  if (strategy.visible) {
+    candidates = candidates.filter(isRendered);
+  }
+  if (!strategy.text) {
+    return candidates;
+  }
+  for (const text of resolveTexts(strategy.text, vars)) {
+    const matches = candidates.filter((el) => {
+      const content = (el.textContent || "").trim();
+      return strategy.exact ? content === text : content.includes(text);
+    });
+    // Ancestors contain the text too; prefer the innermost matches
+    const innermost = matches.filter(
+      (el) => !matches.some((other) => other !== el && el.contains(other))
+    );
+    if (innermost.length > 0) return innermost;
+  }
+  return [];
+}
+
+/**
+ * Returns the strategies for a target: overrides first, then the built-ins.
+ * Each strategy is tagged with `source` ("override" or "builtin").
+ *
+ * @param {string} targetId - A key of SELECTOR_TARGETS.
+ * @param {Object} [overrides] - Overrides by target id; defaults to the last loaded ones.
+ * @returns {Object[]} The strategies, in order.
+ */
+export function getTargetStrategies(targetId, overrides = cachedOverrides) {
+  const target = SELECTOR_TARGETS[targetId];
+  if (!target) throw new Error(`Unknown selector target "${targetId}"`);
+  return [
+    ...(overrides[targetId] || []).map((s) => ({ ...s, source: "override" })),
+    ...target.strategies.map((s) => ({ ...s, source: "builtin" })),
+  ];
+}
+
+/**
+ * Synchronously finds the elements of a target with the first strategy that
+ * matches anything, and records that strategy.
+ *
+ * @param {string} targetId - A key of SELECTOR_TARGETS.
+ * @param {Object} [options={}]
+ * @param {Object} [options.vars={}] - Variables for text placeholders.
+ * @param {Object<string, Element>} [options.elements={}] - Elements for `within` (e.g. { fileRow }).
+ * @param {Object} [options.overrides] - Overrides by target id; defaults to the last loaded ones.
+ * @returns {{elements: Element[], strategy: Object}|null} The matches, or null if none.
+ */
+export function queryTarget(targetId, options = {}) {
+  const { vars = {}, elements = {}, overrides } = options;
+  for (const strategy of getTargetStrategies(targetId, overrides)) {
+    if (strategy.afterMs) continue; // Deferred fallbacks only apply while polling
+    const matches = queryStrategy(strategy, vars, elements);
+    if (matches.length > 0) {
+      recordSelectorMatch(targetId, strategy);
+      return { elements: matches, strategy };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds a CSS selector from an element's tag and classes, e.g. "li.menu-item".
+ * Classes added by the element selector's highlighting, and classes that would
+ * need escaping, are left out.
+ */
+function getClassSelector(elementInfo) {
+  const classes = String(elementInfo.className || "")
+    .split(/\s+/)
+    .filter(
+      (c) => /^[a-zA-Z_][\w-]*$/.test(c) && !c.startsWith("element-selector")
+    );
+  const tag = String(elementInfo.tagName || "*").toLowerCase();
+  return [tag, ...classes].join(".");
+}
+
+/**
+ * Turns an element picked with the element selector into override strategies
+ * for a target. Targets that stand for one element on the page (such as the
+ * share icon) get the element's XPath and CSS selector. Targets that are
+ * matched per row or by text (file rows, titles, menu items) get a tag-and-class
+ * selector instead, keeping the built-in scope and text so the override still
+ * finds the right row, export option or format.
+ *
+ * @param {string} targetId - A key of SELECTOR_TARGETS.
+ * @param {Object} elementInfo - As captured by the element selector
+ *   ({ tagName, className, xPath, cssSelector, ... }).
+ * @returns {Object[]} The override strategies, in order.
+ */
+export function strategiesFromElement(targetId, elementInfo) {
+  const target = SELECTOR_TARGETS[targetId];
+  if (!target) throw new Error(`Unknown selector target "${targetId}"`);
+  const [builtin] = target.strategies;
+  let strategies;
+  if (builtin.within || builtin.text || targetId === "fileRow") {
+    const strategy = { css: getClassSelector(elementInfo) };
+    if (builtin.within) strategy.within = builtin.within;
+    if (builtin.text) strategy.text = builtin.text;
+    if (builtin.exact) strategy.exact = true;
+    strategies = [strategy];
+  } else {
+    strategies = [
+      elementInfo.xPath && { xpath: elementInfo.xPath },
+      elementInfo.cssSelector && { css: elementInfo.cssSelector },
+    ].filter(Boolean);
+  }
+  // The page's selectors are generated; leave out any that do not parse
+  return strategies.filter((strategy) => {
+    try {
+      validateStrategy(strategy);
+      return true;
+    } catch (error) {
+      console.warn(`Leaving out picked locator: ${error.message}`);
+      return false;
+    }
+  });
+}
+
+/**
+ * Loads the user's overrides and caches them for synchronous lookups.
+ *
+ * @returns {Promise<Object<string, Object[]>>} Overrides by target id.
+ */
+export async function loadSelectorOverrides() {
+  try {
+    cachedOverrides = (await loadData(SELECTOR_OVERRIDES_KEY, {})) || {};
+  } catch (e) {
+    console.warn("Failed to load selector overrides:", e);
+  }
+  return cachedOverrides;
+}
+
+/**
+ * Checks that a strategy can be run: it locates by at least one kind, its
+ * CSS selector and XPath parse, and `within` names another target.
+ *
+ * @param {Object} strategy - A locate strategy.
+ * @throws {Error} - Describing the first problem found.
+ */
+export function validateStrategy(strategy) {
+  if (!STRATEGY_KINDS.some((kind) => strategy?.[kind])) {
+    throw new Error(
+      `A locator needs at least one of ${STRATEGY_KINDS.join(", ")}`
+    );
+  }
+  if (strategy.within && !SELECTOR_TARGETS[strategy.within]) {
+    throw new Error(`Unknown target "${strategy.within}" after "within"`);
+  }
+  // querySelector and createExpression throw on invalid syntax
+  if (strategy.css) {
+    try {
+      document.createDocumentFragment().querySelector(strategy.css);
+    } catch (error) {
+      throw new Error(`Invalid CSS selector "${strategy.css}"`);
+    }
+  }
+  if (strategy.xpath) {
+    try {
+      document.createExpression(strategy.xpath);
+    } catch (error) {
+      throw new Error(`Invalid XPath "${strategy.xpath}"`);
+    }
+  }
+}
+
+/**
+ * Stores the override strategies for a target (replacing earlier ones).
+ *
+ * @param {string} targetId - A key of SELECTOR_TARGETS.
+ * @param {Object[]} strategies - Strategies to try before the built-ins.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the target is unknown or a strategy is invalid (see validateStrategy).
+ */
+export async function saveSelectorOverride(targetId, strategies) {
+  if (!SELECTOR_TARGETS[targetId]) {
+    throw new Error(`Unknown selector target "${targetId}"`);
+  }
+  strategies.forEach(validateStrategy);
+  const overrides = await loadSelectorOverrides();
+  cachedOverrides = { ...overrides, [targetId]: strategies };
+  await saveData(SELECTOR_OVERRIDES_KEY, cachedOverrides);
+}
+
+/**
+ * Removes the override for a target, so only the built-ins are used.
+ *
+ * @param {string} targetId - A key of SELECTOR_TARGETS.
+ * @returns {Promise<void>}
+ */
+export async function clearSelectorOverride(targetId) {
+  const { [targetId]: removed, ...rest } = await loadSelectorOverrides();
+  cachedOverrides = rest;
+  await saveData(SELECTOR_OVERRIDES_KEY, cachedOverrides);
+}
+
+/**
+ * Records which strategy matched a target (only written when it changes).
+ *
+ * @param {string} targetId - A key of SELECTOR_TARGETS.
+ * @param {Object} strategy - The matching strategy (tagged with `source`).
+ */
+export function recordSelectorMatch(targetId, strategy) {
+  const description = describeStrategy(strategy);
+  const key = `${strategy.source}:${description}`;
+  if (recordedMatches.get(targetId) === key) return;
+  recordedMatches.set(targetId, key);
+  loadData(SELECTOR_MATCHES_KEY, {})
+    .then((matches) =>
+      saveData(SELECTOR_MATCHES_KEY, {
+        ...matches,
+        [targetId]: {
+          strategy: description,
+          source: strategy.source,
+          matchedAt: Date.now(),
+        },
+      })
+    )
+    .catch((e) => console.warn("Failed to record selector match:", e));
+}
+
+/**
+ * Loads the strategy that last matched each target.
+ *
+ * @returns {Promise<Object<string, {strategy: string, source: string, matchedAt: number}>>}
+ */
+export async function loadSelectorMatches() {
+  return loadData(SELECTOR_MATCHES_KEY, {});
+}
+
+/**
+ * Describes a strategy in the "kind: value" form used for overrides; parts
+ * of a combined strategy are joined with " + " (parseStrategy reads it back).
+ *
+ * @param {Object} strategy - A locate strategy.
+ * @returns {string} E.g. 'within sharePopover + css: li + text: "MP3"'.
+ */
+export function describeStrategy(strategy) {
+  const parts = [];
+  if (strategy.within) parts.push(`within ${strategy.within}`);
+  if (strategy.xpath) parts.push(`xpath: ${strategy.xpath}`);
+  if (strategy.css) parts.push(`css: ${strategy.css}`);
+  if (strategy.aria) parts.push(`aria: "${strategy.aria}"`);
+  if (strategy.text) {
+    parts.push(`text${strategy.exact ? " (exact)" : ""}: "${strategy.text}"`);
+  }
+  if (strategy.visible) parts.push("visible");
+  return parts.join(" + ");
+}
+
+// " + " between the parts of a combined strategy; a "+" inside a CSS
+// selector (sibling combinator) is not followed by the start of a part
+const STRATEGY_PART_SEPARATOR =
+  /\s+\+\s+(?=within\s|visible\s*$|visible\s+\+|(?:xpath|css|aria|text)(?:\s*\(exact\))?\s*:)/i;
+
+/**
+ * Parses an override written as "kind: value", e.g. "css: button.share",
+ * "xpath: //button[1]", "text: Export" or "aria: Share". Parts can be
+ * combined with " + " as describeStrategy writes them, e.g.
+ * 'within sharePopover + css: li + text: "MP3"', together with
+ * "text (exact): ..." and "visible".
+ *
+ * @param {string} text - The override as entered by the user.
+ * @returns {Object} The strategy.
+ * @throws {Error} - If a kind is unknown or repeated, a value is empty, or
+ *   the strategy is invalid (see validateStrategy).
+ */
+export function parseStrategy(text) {
+  const strategy = {};
+  const parts = String(text || "").trim().split(STRATEGY_PART_SEPARATOR);
+  for (const part of parts) {
+    const within = /^within\s+(\S+)$/i.exec(part);
+    if (within) {
+      strategy.within = within[1];
+      continue;
+    }
+    if (/^visible$/i.test(part)) {
+      strategy.visible = true;
+      continue;
+    }
+    const match = /^(\w+)(\s*\(exact\))?\s*:\s*([\s\S]+?)\s*$/.exec(part);
+    const kind = match ? match[1].toLowerCase() : "";
+    if (
+      !match ||
+      !STRATEGY_KINDS.includes(kind) ||
+      (match[2] && kind !== "text")
+    ) {
+      throw new Error(
+        `Write overrides as ${STRATEGY_KINDS.map((k) => `"${k}: ..."`).join(", ")} (e.g. "css: button.share"), combined with " + "`
+      );
+    }
+    if (strategy[kind]) throw new Error(`"${kind}" is given twice`);
+    // Texts may be quoted, as describeStrategy writes them
+    const value = /^"[\s\S]*"$/.test(match[3])
+      ? match[3].slice(1, -1)
+      : match[3];
+    if (!value) throw new Error(`The ${kind} override is empty`);
+    strategy[kind] = value;
+    if (match[2]) strategy.exact = true;
+  }
+  validateStrategy(strategy);
+  return strategy;
+}
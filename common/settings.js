@@ -0,0 +1,177 @@
+/**
+ * common/settings.js
+ * Tuning parameters (timeouts and limits) edited on the options page and
+ * stored in chrome.storage.sync. The content script, background and popup
+ * read them with loadSettings, which always returns a complete, valid set.
+ */
+import { loadData, saveData } from "./storageUtils.js";
+
+/** Storage key (in chrome.storage.sync) for the settings. */
+export const SETTINGS_KEY = "settings";
+
+/**
+ * Every setting with its default and accepted range, in the order the
+ * options page shows them. Values are whole numbers in the given unit.
+ */
+export const SETTING_DEFINITIONS = {
+  elementWaitSeconds: {
+    label: "Wait for export controls",
+    description:
+      "How long to wait for the share icon, export menu, format menu and export button to appear.",
+    unit: "seconds",
+    defaultValue: 10,
+    min: 1,
+    max: 120,
+  },
+  deleteMenuWaitSeconds: {
+    label: "Wait for the Delete menu item",
+    description: "How long to wait for the right-click menu to show Delete.",
+    unit: "seconds",
+    defaultValue: 15,
+    min: 1,
+    max: 120,
+  },
+  fileListWaitSeconds: {
+    label: "Wait for the file list",
+    description:
+      "How long to wait for files to appear in the list, and for a deleted file to leave it.",
+    unit: "seconds",
+    defaultValue: 10,
+    min: 1,
+    max: 120,
+  },
+  downloadStartSeconds: {
+    label: "Wait for a download to start",
+    description: "How long after clicking Export a download may take to begin.",
+    unit: "seconds",
+    defaultValue: 60,
+    min: 5,
+    max: 600,
+  },
+  downloadCompleteMinutes: {
+    label: "Wait for a download to finish",
+    description: "How long a started download may take to complete.",
+    unit: "minutes",
+    defaultValue: 10,
+    min: 1,
+    max: 120,
+  },
+  maxAttempts: {
+    label: "Attempts per file",
+    description:
+      "How many times a failing file is tried before it is reported as failed.",
+    unit: "attempts",
+    defaultValue: 3,
+    min: 1,
+    max: 10,
+  },
+  maxConsecutiveErrors: {
+    label: "Stop after consecutive errors",
+    description:
+      "How many different files failing in a row abort the export (retries of the same file count once).",
+    unit: "errors",
+    defaultValue: 3,
+    min: 1,
+    max: 50,
+  },
+  keepAliveHours: {
+    label: "Maximum background export duration",
+    description:
+      "A background export is stopped after running this long (time spent paused does not count).",
+    unit: "hours",
+    defaultValue: 4,
+    min: 1,
+    max: 24,
+  },
+  stallMinutes: {
+    label: "Stall warning",
+    description:
+      "Warn when a background export has reported no progress for this long.",
+    unit: "minutes",
+    defaultValue: 2,
+    min: 1,
+    max: 60,
+  },
+  popupPollingHours: {
+    label: "Popup status updates",
+    description: "How long an open popup keeps refreshing the export status.",
+    unit: "hours",
+    defaultValue: 2,
+    min: 1,
+    max: 24,
+  },
+};
+
+/** Settings used until the options page has saved any. */
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [
+    key,
+    definition.defaultValue,
+  ])
+);
+
+/**
+ * Returns a copy of the settings with unknown keys dropped and values that
+ * are not whole numbers within their range replaced by their defaults.
+ *
+ * @param {Object} [settings={}] - Settings as read from storage or the options page.
+ * @returns {Object} The normalized settings.
+ */
+export function normalizeSettings(settings = {}) {
+  const source = settings || {};
+  return Object.fromEntries(
+    Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => {
+      const value = Number(source[key]);
+      const valid =
+        source[key] !== "" &&
+        source[key] !== null &&
+        Number.isInteger(value) &&
+        value >= definition.min &&
+        value <= definition.max;
+      return [key, valid ? value : definition.defaultValue];
+    })
+  );
+}
+
+/**
+ * Loads the settings, falling back to the defaults if storage is unavailable.
+ *
+ * @returns {Promise<Object>} The normalized settings.
+ */
+export async function loadSettings() {
+  try {
+    return normalizeSettings(await loadData(SETTINGS_KEY, {}, "sync"));
+  } catch (e) {
+    console.warn("Failed to load settings, using defaults:", e);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Normalizes and stores the settings.
+ *
+ * @param {Object} settings - The settings to save.
+ * @returns {Promise<Object>} The settings as saved.
+ */
+export async function saveSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  await saveData(SETTINGS_KEY, normalized, "sync");
+  return normalized;
+}
+
+/**
+ * Converts the settings to the waits the export and delete steps use.
+ *
+ * @param {Object} settings - Settings as returned by loadSettings.
+ * @returns {{elementWaitMs: number, deleteMenuWaitMs: number, downloadStartMs: number,
+ *   downloadCompleteMs: number, fileListWaitMs: number}} Waits in milliseconds.
+ */
+export function getTimeouts(settings) {
+  return {
+    elementWaitMs: settings.elementWaitSeconds * 1000,
+    deleteMenuWaitMs: settings.deleteMenuWaitSeconds * 1000,
+    downloadStartMs: settings.downloadStartSeconds * 1000,
+    downloadCompleteMs: settings.downloadCompleteMinutes * 60 * 1000,
+    fileListWaitMs: settings.fileListWaitSeconds * 1000,
+  };
+}
@@ -1,36 +1,58 @@
-// Placeholder for future data storage logic
+/**
+ * common/storageUtils.js
+ * Promise-based helpers around chrome.storage, usable from the background,
+ * content scripts and extension pages alike.
+ */
+
+/**
+ * Returns the chrome.storage area with the given name.
+ *
+ * @param {string} area - "local", "session" or "sync".
+ * @returns {chrome.storage.StorageArea} The storage area.
+ * @throws {Error} - If the area is unknown or unavailable in this context.
+ */
+function getStorageArea(area) {
+  const storageArea = ["local", "session", "sync"].includes(area)
+    ? chrome.storage?.[area]
+    : null;
+  if (!storageArea) {
+    throw new Error(`Storage area "${area}" is not available`);
+  }
+  return storageArea;
+}
 
 /**
- * Mock function to save data to storage.
- * Currently logs the key and value being "saved".
+ * Saves a value to storage.
  *
  * @param {string} key - The storage key.
- * @param {*} value - The data to save.
+ * @param {*} value - The data to save (must be JSON-serializable).
+ * @param {string} [area="local"] - The chrome.storage area to use.
+ * @returns {Promise<void>}
  */
-export function saveData(key, value) {
-  console.log(`Saving key "${key}" to storage (mock)`);
-  // Future implementation for persistent storage goes here.
+export async function saveData(key, value, area = "local") {
+  await getStorageArea(area).set({ [key]: value });
 }
 
 /**
- * Mock function to load data from storage.
- * Currently logs the key being loaded and returns null.
+ * Loads a value from storage.
  *
  * @param {string} key - The storage key.
- * @returns {*} The loaded data, currently always null.
+ * @param {*} [defaultValue=null] - Value returned when the key is not set.
+ * @param {string} [area="local"] - The chrome.storage area to use.
+ * @returns {Promise<*>} The stored data, or defaultValue.
  */
-export function loadData(key) {
-  console.log(`Loading key "${key}" from storage (mock)`);
-  return null; // Future implementation for persistent storage goes here.
+export async function loadData(key, defaultValue = null, area = "local") {
+  const result = await getStorageArea(area).get(key);
+  return key in result ? result[key] : defaultValue;
 }
 
 /**
- * Mock function to clear data from storage.
- * Currently logs the key being cleared.
+ * Removes a value from storage.
  *
  * @param {string} key - The storage key.
+ * @param {string} [area="local"] - The chrome.storage area to use.
+ * @returns {Promise<void>}
  */
-export function clearData(key) {
-  console.log(`Clearing key "${key}" in storage (mock)`);
-  // Future implementation for persistent storage goes here.
+export async function clearData(key, area = "local") {
+  await getStorageArea(area).remove(key);
 }
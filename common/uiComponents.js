@@ -1,3 +1,8 @@
+import { formatProgress } from "./progressUtils.js";
+
+// Last progress shown by each indicator, redrawn by updates that pass none
+const lastProgress = new WeakMap();
+
 /**
  * Creates a status indicator element to display messages on the page.
  * The indicator is styled and fixed at the top-right corner.
@@ -32,11 +37,22 @@ export function createStatusIndicator() {
  *
  * @param {HTMLElement} indicator - The status indicator element.
  * @param {string} message - The message to display.
- * @param {string} [type="info"] - The type of message ("info", "success", "error").
+ * @param {string} [type="info"] - The type of message ("info", "success", "error", "paused").
+ * @param {Object} [progress] - Progress of the export (see getProgress in
+ *   progressUtils.js), shown as a bar with the percentage and time remaining;
+ *   when omitted, the last progress given is shown again, and null removes it.
  */
-export function updateIndicator(indicator, message, type = "info") {
+export function updateIndicator(indicator, message, type = "info", progress) {
   // Update the text content of the indicator.
   indicator.textContent = message;
+  if (progress) {
+    lastProgress.set(indicator, progress);
+  } else if (progress === null) {
+    lastProgress.delete(indicator);
+  }
+  if (lastProgress.has(indicator)) {
+    appendProgressBar(indicator, lastProgress.get(indicator));
+  }
   // Update the background color based on the message type.
   switch (type) {
     case "success":
@@ -45,7 +61,45 @@ export function updateIndicator(indicator, message, type = "info") {
     case "error":
       indicator.style.backgroundColor = "rgba(244, 67, 54, 0.9)"; // Red for errors.
       break;
+    case "paused":
+      indicator.style.backgroundColor = "rgba(251, 140, 0, 0.9)"; // Amber while paused.
+      break;
     default:
       indicator.style.backgroundColor = "rgba(33, 150, 243, 0.9)"; // Blue for info/other.
   }
 }
+
+/**
+ * Appends a progress bar and a progress line to the status indicator.
+ *
+ * @param {HTMLElement} indicator - The status indicator element.
+ * @param {Object} progress - Result of getProgress.
+ */
+function appendProgressBar(indicator, progress) {
+  const track = document.createElement("div");
+  track.style.cssText = `
+        margin-top: 6px;
+        height: 6px;
+        border-radius: 3px;
+        background-color: rgba(255, 255, 255, 0.3);
+        overflow: hidden;
+      `;
+  const fill = document.createElement("div");
+  fill.style.cssText = `
+        height: 100%;
+        background-color: white;
+      `;
+  fill.style.width = `${progress.percent}%`;
+  track.appendChild(fill);
+
+  const details = document.createElement("div");
+  details.style.cssText = `
+        margin-top: 4px;
+        font-size: 12px;
+        font-weight: normal;
+      `;
+  details.textContent = formatProgress(progress);
+
+  indicator.appendChild(track);
+  indicator.appendChild(details);
+}
@@ -9,6 +9,8 @@
   let isBackgroundExporting = false;
   // Flag to signal when the export process should stop.
   let shouldStopExport = false;
+  // Flag to indicate if an export (foreground or background) is running in this page.
+  let isExportRunning = false;
 
   // Dynamically import the audio export module.
   const audioExportModule = await import(
@@ -17,8 +19,8 @@
     console.error("❌ Failed to import audioExport:", error);
     throw new Error(`Failed to load audioExport module: ${error.message}`);
   });
-  // Destructure the main export function from the module.
-  const { runExportAll } = audioExportModule;
+  // Destructure the main export function, the download report handler and the page check from the module.
+  const { runExportAll, handleDownloadStatus, checkPage } = audioExportModule;
 
   // Dynamically import the element selector module.
   const elementSelectorModule = await import(
@@ -66,6 +68,13 @@
       return false; // Synchronous response.
     }
 
+    // Handle download progress reports from the background (chrome.downloads tracking).
+    if (request.action === "downloadStatus") {
+      const matched = handleDownloadStatus(request);
+      sendResponse({ success: matched });
+      return false;
+    }
+
     // Start the element selector mode.
     if (request.action === "startElementSelector") {
       startElementSelector();
@@ -96,55 +105,124 @@
 
     // Handle the export process which may run for a longer time.
     if (request.action === "runExportAll") {
-      // Set background mode if requested.
-      isBackgroundExporting = !!request.background;
-      // Reset the stop flag for a new export process.
-      shouldStopExport = false;
-
+      // Only one run per page: a second run (e.g. a dry run opening menus) would
+      // interfere with the controls the running one is looking for
+      if (isExportRunning) {
+        sendResponse({
+          success: false,
+          error: "An export is already running on this page; wait for it to finish or stop it first.",
+        });
+        return false;
+      }
       // Respond immediately to prevent timeouts.
       sendResponse({ success: true, message: "Export process starting..." });
 
       // Run the export process asynchronously without blocking the response.
-      runExportAll(isBackgroundExporting)
-        .then((result) => {
-          // On successful completion, send the export results if running in background mode.
-          if (isBackgroundExporting) {
-            chrome.runtime
-              .sendMessage({
-                action: "exportComplete",
-                data: result,
-              })
-              .catch((err) => {
-                console.error("Failed to send completion message:", err);
-              });
-          }
-        })
+      startExport(!!request.background, request.options);
+      return false; // Already responded synchronously.
+    }
+
+    // Report whether a run (foreground, background or dry run) is going on in this page.
+    if (request.action === "getPageExportState") {
+      sendResponse({
+        success: true,
+        isRunning: isExportRunning,
+        background: isBackgroundExporting,
+      });
+      return false; // Synchronous response.
+    }
+
+    // Check that every control the export needs can be located, without exporting anything.
+    if (request.action === "checkPage") {
+      if (isExportRunning) {
+        sendResponse({
+          success: false,
+          error: "An export is running on this page; check again when it has finished.",
+        });
+        return false;
+      }
+      checkPage(request.options)
+        .then((report) => sendResponse({ success: true, report }))
         .catch((error) => {
-          console.error("Export all failed:", error);
-          // Notify background script of the failure if in background mode.
-          if (isBackgroundExporting) {
-            chrome.runtime
-              .sendMessage({
-                action: "exportComplete",
-                data: {
-                  filesProcessed: 0,
-                  filesErrored: 1,
-                  error: error.message,
-                },
-              })
-              .catch((err) => {
-                console.error("Failed to send error message:", err);
-              });
-          }
+          console.error("Page check failed:", error);
+          sendResponse({ success: false, error: error.message });
         });
-
-      return false; // Already responded synchronously.
+      return true; // Asynchronous response.
     }
 
     // Default case for any unknown messages.
     return false;
   });
 
+  /**
+   * Runs runExportAll and reports the result to the background when in background mode.
+   *
+   * @param {boolean} background - Whether the export runs in background mode.
+   * @param {Object} options - Export options passed through to runExportAll.
+   */
+  function startExport(background, options) {
+    // Set background mode if requested.
+    isBackgroundExporting = background;
+    // Reset the stop flag for a new export process.
+    shouldStopExport = false;
+    isExportRunning = true;
+
+    runExportAll(isBackgroundExporting, options)
+      .then((result) => {
+        // On successful completion, send the export results if running in background mode.
+        if (isBackgroundExporting) {
+          chrome.runtime
+            .sendMessage({
+              action: "exportComplete",
+              data: result,
+            })
+            .catch((err) => {
+              console.error("Failed to send completion message:", err);
+            });
+        }
+      })
+      .catch((error) => {
+        console.error("Export all failed:", error);
+        // Notify background script of the failure if in background mode.
+        if (isBackgroundExporting) {
+          chrome.runtime
+            .sendMessage({
+              action: "exportComplete",
+              data: {
+                filesProcessed: 0,
+                filesErrored: 1,
+                error: error.message,
+              },
+            })
+            .catch((err) => {
+              console.error("Failed to send error message:", err);
+            });
+        }
+      })
+      .finally(() => {
+        isExportRunning = false;
+      });
+  }
+
+  /**
+   * Resume a background export that was interrupted by a reload of this page.
+   * The background keeps the session (mode and stats) so the run continues where it stopped.
+   */
+  chrome.runtime
+    .sendMessage({ action: "getResumableExport" })
+    .then((response) => {
+      if (response && response.resume) {
+        console.log("Resuming interrupted background export...");
+        startExport(true, {
+          ...response.options,
+          resumeStats: response.stats,
+        });
+      }
+    })
+    .catch((error) => {
+      console.warn("Could not check for an interrupted export:", error);
+    });
+
   /**
    * Prevent the page from unloading if an export is in progress.
    * This ensures the export process is not interrupted by user navigation.
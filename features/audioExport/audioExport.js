@@ -2,53 +2,233 @@
  * features/audioExport/audioExport.js
  */
 
-// Module-scoped variables (previously on window)
-let _downloadErrorOccurred = false;
-let _downloadErrorListener = null;
-let _originalConsoleError = null;
-
 import {
-  clickElement,
-  rightClickWithRetry,
   delay, // Keep delay for short pauses/polling intervals if needed
-  findElementByXPath,
-  waitForElement, // Import new wait utility
   waitForCondition, // Import new wait utility
 } from "../../common/domUtils.js";
+import {
+  AUDIO_FORMATS,
+  EXPORT_MODES,
+  TRANSCRIPT_FORMATS,
+  normalizeExportOptions,
+} from "../../common/exportOptions.js";
+import {
+  compileExportFilters,
+  hasActiveFilters,
+} from "../../common/exportFilters.js";
+import {
+  loadSelectorOverrides,
+  queryTarget,
+} from "../../common/selectorRegistry.js";
+import { getTimeouts, loadSettings } from "../../common/settings.js";
+import {
+  averageFileDuration,
+  getProgress,
+} from "../../common/progressUtils.js";
 import {
   createStatusIndicator,
   updateIndicator,
 } from "../../common/uiComponents.js";
+import { resetDomState } from "./deleteHelpers.js";
+import { deleteFile } from "./deleteSteps.js";
+import { getDownloadBaseName } from "./downloadTracker.js";
+import { buildAudioTags } from "./audioTagging.js";
+import { saveExportManifest } from "./exportManifest.js";
+import { saveMetadataSidecar } from "./metadataSidecar.js";
+import { loadFullList, revealMoreRows } from "./listLoader.js";
 import {
-  waitForDeleteMenuItem, // This already uses polling
-  findElementByText,
-  resetDomState,
-} from "./deleteHelpers.js";
+  RUN_FILE_OUTCOMES,
+  RUN_STATUSES,
+  saveRun,
+  startRun,
+} from "./runHistory.js";
+import {
+  selectFile,
+  exportFromShareMenu,
+  SHARE_OPTION_TEXTS,
+} from "./exportSteps.js";
+import {
+  getCurrentFolderName,
+  getRecordingId,
+  getRecordingUrl,
+  getTextFragments,
+  getTitleElement,
+  scrapeRecordingMetadata,
+} from "./recordingMetadata.js";
+import { exportSummary, readSummaryText } from "./summaryExport.js";
+import { checkFileSteps, saveDryRunReport } from "./dryRun.js";
+import {
+  getLedgerEntry,
+  loadLedger,
+  recordLedgerEntry,
+  isAlreadyExported,
+  isLedgerComplete,
+  LEDGER_OUTCOMES,
+} from "./exportLedger.js";
+
+// Re-exported so content.js can route background download reports here
+export { handleDownloadStatus } from "./downloadTracker.js";
+export { checkPage } from "./pageCheck.js";
+
+// Backoff before retrying a failed file: 5s, 10s, 20s, ... capped at 2 minutes
+const RETRY_BASE_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 120000;
+
+/**
+ * Returns how long to wait before the next attempt at a failed file.
+ * @param {number} attempts - Attempts made so far (1 after the first failure).
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
 
 /**
- * Repeatedly scans .fileInfo items, exports and deletes each unprocessed file,
- * and updates progress. Supports both foreground and background processing.
+ * Repeatedly scans the file rows, exports each unprocessed file (deleting it
+ * afterwards unless running in export-only mode), and updates progress.
+ * Supports both foreground and background processing.
+ *
+ * Timeouts, attempts per file and the consecutive-error limit come from the
+ * options page (see common/settings.js) and are read again before each file,
+ * so changes apply from the next file on. Failed files are retried later in
+ * the run with increasing backoff until they succeed or run out of attempts.
  *
  * @param {boolean} backgroundMode - Whether the export runs in background mode.
- * @returns {Object} stats - Export statistics including processed, errored, and skipped file counts.
+ * @param {Object} [options={}] - Export options (see common/exportOptions.js).
+ * @param {string} [options.mode=EXPORT_MODES.EXPORT_AND_DELETE] - One of EXPORT_MODES.
+ * @param {string} [options.audioFormat="mp3"] - A key of AUDIO_FORMATS.
+ * @param {string} [options.transcriptFormat=""] - A key of TRANSCRIPT_FORMATS, or "" to skip transcripts.
+ * @param {boolean} [options.exportSummary=false] - Whether to save each AI summary as a Markdown note.
+ * @param {string} [options.filenameTemplate=""] - Filename template for saved files; "" keeps Plaud's names.
+ * @param {string} [options.downloadRoot="PlaudExports"] - Directory below the browser's download directory.
+ * @param {boolean} [options.mirrorFolders=false] - Whether to save into a subdirectory named after the Plaud folder.
+ * @param {boolean} [options.dryRun=false] - Only check that each file's controls can be found and
+ *   store a report; nothing is downloaded or deleted.
+ * @param {Object} [options.filters] - Title, date and duration criteria (see common/exportFilters.js);
+ *   recordings that do not match are skipped and counted in filesSkipped.
+ * @param {string[]} [options.onlyRecordingIds=[]] - Only handle recordings with these ids (used to
+ *   retry failed files from the popup); empty handles every recording.
+ * @param {string[]} [options.onlyTitles=[]] - Likewise by title, for failed files the ledger
+ *   recorded before recordings had ids.
+ * @param {Object} [options.resumeStats] - Stats of an interrupted run to continue from
+ *   (filesProcessed, filesErrored, startTime).
+ * @returns {Object} stats - Export statistics including processed, errored, and skipped file counts,
+ *   `totalFiles` (the recordings the run covers, counted before it starts),
+ *   `averageFileMs` (average time per file over the last few files, for the time estimate),
+ *   and `failedFiles` ({ recordingId, title, error, attempts }) for files that ran out of attempts.
  */
-export async function runExportAll(backgroundMode = false) {
+export async function runExportAll(backgroundMode = false, options = {}) {
+  const exportOptions = normalizeExportOptions(options);
+  const deleteAfterExport =
+    exportOptions.mode === EXPORT_MODES.EXPORT_AND_DELETE;
+  const audioFormat = AUDIO_FORMATS[exportOptions.audioFormat];
+  const transcriptFormat =
+    TRANSCRIPT_FORMATS[exportOptions.transcriptFormat] || null;
   const indicator = createStatusIndicator();
+  let settings = await loadSettings();
+  let timeouts = getTimeouts(settings);
   console.log(
-    `Starting Export & Delete flow (Background mode: ${backgroundMode})...`
+    `Starting ${exportOptions.dryRun ? "dry run of " : ""}${
+      deleteAfterExport ? "Export & Delete" : "Export-only"
+    } flow as ${audioFormat.label} (Background mode: ${backgroundMode})...`
   );
+  const resumeStats = options.resumeStats || {};
   const stats = {
-    filesProcessed: 0,
-    filesErrored: 0,
+    filesProcessed: resumeStats.filesProcessed || 0,
+    filesErrored: resumeStats.filesErrored || 0,
+    // Skipped files stay in the list, so a resumed run counts them again from zero
     filesSkipped: 0,
-    startTime: Date.now(),
+    failedFiles: [],
+    totalFiles: 0,
+    averageFileMs: null,
+    startTime: resumeStats.startTime || Date.now(),
   };
-  const processedTitles = new Set();
+  // How long each finished file took, for the estimate of the time remaining
+  const fileDurations = [];
+  // Entry of this run in the run history (not kept for dry runs)
+  let run = null;
+  let runStatus = RUN_STATUSES.ABORTED;
+  if (options.resumeStats) {
+    updateIndicator(
+      indicator,
+      `Resuming export after ${stats.filesProcessed} file(s)...`
+    );
+  }
+  // Recordings are told apart by id (see getRecordingId), as titles often repeat
+  const processedIds = new Set();
+  // The run exports the list shown for one Plaud folder; downloads may mirror it as a subdirectory
+  const folderName = getCurrentFolderName();
+  if (exportOptions.mirrorFolders) {
+    console.log(`Mirroring Plaud folder: ${folderName || "(none detected)"}`);
+  }
+  // Persistent record of earlier runs; recordings it marks as done are skipped
+  let ledger = {};
+  try {
+    ledger = await loadLedger();
+  } catch (e) {
+    console.warn("Failed to load export ledger, treating all files as new:", e);
+  }
+  // Recordings outside the filter criteria are skipped (counted once, via processedIds)
+  let rejectReason = () => null;
+  try {
+    rejectReason = compileExportFilters(exportOptions.filters);
+  } catch (e) {
+    updateIndicator(indicator, `Export not started: ${e.message}`, "error");
+    console.error("Invalid export filters:", e);
+    return stats;
+  }
+  if (hasActiveFilters(exportOptions.filters)) {
+    console.log("Export filters:", exportOptions.filters);
+  }
+  const onlyRecordingIds = new Set(exportOptions.onlyRecordingIds);
+  const onlyTitles = new Set(exportOptions.onlyTitles);
+  const onlySelected = onlyRecordingIds.size > 0 || onlyTitles.size > 0;
+  if (onlySelected) {
+    const selectedCount = onlyRecordingIds.size + onlyTitles.size;
+    console.log(`Only handling ${selectedCount} selected file(s)`);
+  }
+  // Failed files wait here until their next attempt is due:
+  // recordingId -> { title, attempts, nextAttemptAt, fileNumber, error }
+  const retryQueue = new Map();
+  // Dry run: what would happen to each file, stored after every file so a stopped run still has a report
+  const dryRunReport = exportOptions.dryRun
+    ? {
+        startedAt: stats.startTime,
+        finishedAt: null,
+        mode: exportOptions.mode,
+        audioFormat: exportOptions.audioFormat,
+        files: [],
+      }
+    : null;
 
-  // --- updateProgress and shouldStopExport functions remain the same ---
+  // --- Progress reporting and run control (stop/pause) ---
+  /**
+   * Sends the current stats to the background (background mode only).
+   * @param {{recordingId: string, title: string}} [current] - The current file.
+   */
+  const sendProgress = (current) => {
+    if (!backgroundMode) return;
+    try {
+      chrome.runtime
+        .sendMessage({
+          action: "exportProgressUpdate",
+          data: {
+            ...stats,
+            ...(current && {
+              currentTitle: current.title,
+              currentRecordingId: current.recordingId,
+            }),
+          },
+        })
+        .catch((e) => console.warn("Failed to send progress update:", e));
+    } catch (e) {
+      console.warn("Error sending progress update:", e);
+    }
+  };
   /**
    * Updates progress statistics and sends periodic progress notifications in background mode.
-   * @param {string} current - The title of the current file.
+   * @param {{recordingId: string, title: string, startedAt?: number}} current - The current
+   *   file; `startedAt` is set for files timed for the estimate of the time remaining.
    * @param {boolean} [error=false] - Flag indicating if an error occurred.
    */
   const updateProgress = (current, error = false) => {
@@ -57,84 +237,194 @@ export async function runExportAll(backgroundMode = false) {
     } else {
       stats.filesProcessed++;
     }
-    if (backgroundMode) {
-      try {
-        chrome.runtime
-          .sendMessage({
-            action: "exportProgressUpdate",
-            data: { ...stats, currentTitle: current },
-          })
-          .catch((e) => console.warn("Failed to send progress update:", e));
-      } catch (e) {
-        console.warn("Error sending progress update:", e);
-      }
+    if (current.startedAt) {
+      fileDurations.push(Date.now() - current.startedAt);
+      stats.averageFileMs = averageFileDuration(fileDurations);
     }
+    // Rows added to the list during the run raise the total
+    stats.totalFiles = Math.max(
+      stats.totalFiles,
+      stats.filesProcessed + stats.filesErrored + stats.filesSkipped
+    );
+    sendProgress(current);
+    if (run) recordRunFile(current, error);
   };
   /**
-   * Checks if the export process should stop.
-   * @returns {Promise<boolean>} - Whether the export should stop.
+   * Adds the outcome of a file to the run history, with the download and error
+   * the ledger has just recorded for it.
+   * @param {{recordingId: string, title: string, metadata?: Object}} current - The
+   *   file, with the metadata read from its row (not known for a file given up on
+   *   after it left the list).
+   * @param {boolean} error - Whether the file failed.
+   */
+  const recordRunFile = (current, error) => {
+    const entry = ledger[current.recordingId] || {};
+    const metadata = current.metadata || {};
+    run.files.push({
+      recordingId: current.recordingId,
+      title: current.title,
+      recordingDate: metadata.recordingDate || null,
+      durationSeconds: metadata.durationSeconds ?? null,
+      outcome: error ? RUN_FILE_OUTCOMES.FAILED : RUN_FILE_OUTCOMES.EXPORTED,
+      error: error ? entry.error || null : null,
+      filename: entry.filename || null,
+      format: entry.format || null,
+      fileSize: entry.fileSize ?? null,
+      deleted: !!entry.deleted,
+      finishedAt: Date.now(),
+    });
+    saveRunProgress();
+  };
+  /**
+   * Saves the run history entry with the current counts.
+   * @param {Object} [fields={}] - Run fields to set first (status, finishedAt).
+   * @returns {Promise<void>}
+   */
+  const saveRunProgress = (fields = {}) => {
+    Object.assign(run, fields, {
+      counts: {
+        processed: stats.filesProcessed,
+        errored: stats.filesErrored,
+        skipped: stats.filesSkipped,
+        total: stats.totalFiles,
+      },
+    });
+    return saveRun(run).catch((e) =>
+      console.warn("Failed to save the run history:", e)
+    );
+  };
+  /**
+   * Checks if the export process should stop or is paused (background mode only).
+   * @returns {Promise<{shouldStop: boolean, paused: boolean}>} - The requested run state.
    */
-  async function shouldStopExport() {
-    if (!backgroundMode) return false;
+  async function checkRunControl() {
+    const keepRunning = { shouldStop: false, paused: false };
+    if (!backgroundMode) return keepRunning;
     try {
       const response = await fetch(
         chrome.runtime.getURL("stop-flag.txt")
       ).catch(() => ({ ok: false }));
-      if (response.ok) return true;
+      if (response.ok) return { shouldStop: true, paused: false };
       return chrome.runtime
         .sendMessage({ action: "checkShouldStop" })
-        .then((response) => response?.shouldStop)
-        .catch(() => false);
+        .then((response) => ({
+          shouldStop: !!response?.shouldStop,
+          paused: !!response?.paused,
+        }))
+        .catch(() => keepRunning);
     } catch (e) {
       console.warn("Error checking stop status:", e);
-      return false;
+      return keepRunning;
     }
   }
-  // --- End of unchanged functions ---
 
-  let fileCount = 0;
-  let errorCount = 0;
-  const maxErrors = 3;
+  /**
+   * Waits at a file boundary until the background resumes or stops the export.
+   * @returns {Promise<boolean>} - Whether the export should stop.
+   */
+  async function waitWhilePaused() {
+    updateIndicator(
+      indicator,
+      `Paused after ${fileCount} file(s). Resume from the extension popup.`,
+      "paused",
+      getProgress(stats)
+    );
+    console.log("Export paused; waiting for resume...");
+    while (true) {
+      await delay(2000);
+      const control = await checkRunControl();
+      if (control.shouldStop) return true;
+      if (!control.paused) break;
+    }
+    console.log("Export resumed");
+    updateIndicator(indicator, `Resuming export after ${fileCount} file(s)...`);
+    return false;
+  }
+  // --- End of progress reporting and run control ---
+
+  let fileCount = stats.filesProcessed + stats.filesErrored;
+  // Distinct files that failed since the last success; retries of the same
+  // file count once, so one file that keeps failing cannot abort the run
+  const consecutiveErrorIds = new Set();
   let scrollIntervalId = null;
 
-  // Define selectors (adjust these based on Plaud.ai's actual UI)
-  // It's better to use more stable selectors if available (e.g., data-testid, aria-label)
-  const fileInfoSelector = ".fileInfo"; // Selector for individual file items
-  const fileTitleSelector = ".title"; // Selector for the title within a file item
-  // --- Selectors for export steps (These are EXAMPLE selectors and likely need adjustment) ---
-  // Use more robust selectors if possible (IDs, data attributes, ARIA labels)
-  // Note: These XPaths use hardcoded string literals only (no dynamic values),
-  // so XPath injection is not a concern here. If dynamic values are ever used,
-  // apply escapeXPathValue() from selectorUtils.js.
-  const shareIconXPath =
-    '//*[@id="rightBox"]/div[2]/div[1]/span[1]/span[1]/div[1]/div[1]'; // Very fragile XPath
-  const shareIconSelector =
-    '[aria-label="Share"], [data-testid="share-button"]'; // Example of more robust selectors
-  const exportAudioOptionText = "Export Audio";
-  const exportAudioOptionSelector = `li:contains("${exportAudioOptionText}"), [role="menuitem"]:contains("${exportAudioOptionText}")`;
-  const mp3OptionText = "MP3";
-  const mp3OptionSelector = `div:contains("${mp3OptionText}")`; // Example selector
-  const exportButtonText = "Export";
-  const exportButtonSelector = `div:contains("${exportButtonText}")[role="button"], button:contains("${exportButtonText}")`;
+  // File rows and titles are located through the selector registry, with any
+  // overrides the user has saved
+  await loadSelectorOverrides();
 
-  try {
-    setupDownloadErrorListener();
+  // Long lists only render part of their rows; walk the whole list first so
+  // the run knows how many recordings it covers
+  updateIndicator(indicator, "Loading the file list...");
+  const listedIds = await loadFullList({
+    onProgress: (count) =>
+      updateIndicator(
+        indicator,
+        `Loading the file list... ${count} recording(s) found`
+      ),
+  });
+  if (onlySelected) {
+    stats.totalFiles = onlyRecordingIds.size + onlyTitles.size;
+  } else {
+    // Files an interrupted Export & Delete run finished are no longer listed
+    stats.totalFiles =
+      listedIds.size +
+      (deleteAfterExport ? resumeStats.filesProcessed || 0 : 0);
+  }
+  console.log(`Run covers ${stats.totalFiles} recording(s)`);
+  sendProgress();
+  if (!exportOptions.dryRun) {
+    try {
+      run = await startRun({
+        startedAt: stats.startTime,
+        mode: exportOptions.mode,
+        audioFormat: exportOptions.audioFormat,
+        background: backgroundMode,
+      });
+    } catch (e) {
+      console.warn("Failed to start the run history entry:", e);
+    }
+  }
 
+  try {
     while (true) {
-      if (await shouldStopExport()) {
+      // Pausing takes effect here, between files
+      const control = await checkRunControl();
+      if (control.shouldStop || (control.paused && (await waitWhilePaused()))) {
         updateIndicator(
           indicator,
           `Export stopped by user after ${fileCount} file(s).`,
-          "info"
+          "info",
+          getProgress(stats)
         );
         console.log("Export stopped by user request");
+        runStatus = RUN_STATUSES.STOPPED;
+        if (dryRunReport) {
+          dryRunReport.finishedAt = Date.now();
+          await saveDryRunReport(dryRunReport);
+        }
         return stats;
       }
-      if (errorCount >= maxErrors) {
+      // Settings saved on the options page during the run apply from here on
+      settings = await loadSettings();
+      timeouts = getTimeouts(settings);
+      const maxErrors = settings.maxConsecutiveErrors;
+      if (consecutiveErrorIds.size >= maxErrors) {
+        // Files still waiting for a retry will not get one in this run
+        for (const [recordingId, retry] of retryQueue) {
+          stats.failedFiles.push({
+            recordingId,
+            title: retry.title,
+            error: retry.error,
+            attempts: retry.attempts,
+          });
+          updateProgress({ recordingId, title: retry.title }, true);
+        }
+        retryQueue.clear();
         updateIndicator(
           indicator,
-          `Stopping after ${maxErrors} consecutive errors.`,
-          "error"
+          `Stopping after ${maxErrors} consecutive errors; ${stats.failedFiles.length} failed file(s) can be retried from the extension popup.`,
+          "error",
+          getProgress(stats)
         );
         throw new Error(`Stopping after ${maxErrors} consecutive errors.`);
       }
@@ -144,19 +434,69 @@ export async function runExportAll(backgroundMode = false) {
       try {
         await waitForCondition(
           () => {
-            const allFiles = Array.from(
-              document.querySelectorAll(fileInfoSelector)
-            );
-            unprocessedFiles = allFiles.filter((el) => {
-              const titleEl = el.querySelector(fileTitleSelector);
-              const titleText = titleEl ? titleEl.textContent.trim() : "";
+            const allFiles = queryTarget("fileRow")?.elements || [];
+            unprocessedFiles = [];
+            let rowsLoading = false;
+            for (const element of allFiles) {
+              const titleEl = getTitleElement(element);
+              const title = titleEl ? titleEl.textContent.trim() : "";
               // Ensure file has a title and hasn't been processed
-              return titleText && !processedTitles.has(titleText);
-            });
-            // Wait until we find at least one file OR no files are left on the page at all
-            return unprocessedFiles.length > 0 || allFiles.length === 0;
+              if (!title) {
+                rowsLoading = true;
+                continue;
+              }
+              // Scraped once per row and poll; the id falls back to it
+              const metadata = scrapeRecordingMetadata(element);
+              const recordingId = getRecordingId(element, metadata);
+              if (processedIds.has(recordingId)) continue;
+              const file = { element, recordingId, title, metadata };
+              // Failed files come back once their backoff has passed
+              const retry = retryQueue.get(recordingId);
+              if (retry) {
+                if (retry.nextAttemptAt <= Date.now()) {
+                  unprocessedFiles.push(file);
+                }
+                continue;
+              }
+              // A retry from the popup handles only the selected files
+              if (
+                onlySelected &&
+                !onlyRecordingIds.has(recordingId) &&
+                !onlyTitles.has(title)
+              ) {
+                processedIds.add(recordingId);
+                continue;
+              }
+              // Skip files outside the filter criteria
+              const reason = rejectReason(metadata);
+              if (reason) {
+                console.log(`Skipping "${title}": ${reason}`);
+                processedIds.add(recordingId);
+                stats.filesSkipped++;
+                continue;
+              }
+              // Skip files an earlier run already finished with
+              const entry = getLedgerEntry(ledger, recordingId, title);
+              if (isLedgerComplete(entry, deleteAfterExport)) {
+                console.log(`Skipping "${title}": already done per ledger`);
+                processedIds.add(recordingId);
+                // Files finished earlier in a resumed run are already counted as processed
+                if (!(entry.exportedAt >= stats.startTime)) {
+                  stats.filesSkipped++;
+                }
+                continue;
+              }
+              unprocessedFiles.push(file);
+            }
+            // Wait only while rows are still loading their titles; once every
+            // visible row is handled, more are revealed below without waiting
+            return (
+              unprocessedFiles.length > 0 ||
+              !rowsLoading ||
+              retryQueue.size > 0
+            );
           },
-          10000, // Wait up to 10 seconds for files to appear/load
+          timeouts.fileListWaitMs, // Wait for files to appear/load
           "finding unprocessed files"
         );
       } catch (e) {
@@ -168,29 +508,153 @@ export async function runExportAll(backgroundMode = false) {
 
       console.log(`${unprocessedFiles.length} files remaining to process`);
 
+      if (unprocessedFiles.length === 0 && retryQueue.size > 0) {
+        // Retries that are due but no longer listed cannot be attempted again
+        for (const [recordingId, retry] of retryQueue) {
+          if (retry.nextAttemptAt <= Date.now()) {
+            console.warn(
+              `"${retry.title}" is no longer in the list; giving up on it.`
+            );
+            retryQueue.delete(recordingId);
+            processedIds.add(recordingId);
+            stats.failedFiles.push({
+              recordingId,
+              title: retry.title,
+              error: retry.error,
+              attempts: retry.attempts,
+            });
+            updateProgress({ recordingId, title: retry.title }, true);
+          }
+        }
+        if (retryQueue.size > 0) {
+          const nextAttemptAt = Math.min(
+            ...Array.from(retryQueue.values(), (retry) => retry.nextAttemptAt)
+          );
+          const waitMs = Math.max(0, nextAttemptAt - Date.now());
+          updateIndicator(
+            indicator,
+            `Retrying ${retryQueue.size} failed file(s) in ${Math.ceil(
+              waitMs / 1000
+            )}s...`
+          );
+          // Wait in short steps so stop and pause requests are still noticed
+          await delay(Math.min(waitMs, 2000));
+        }
+        continue;
+      }
+
+      // Every visible row is done; scroll, load or page on to the rest of the list
+      if (
+        unprocessedFiles.length === 0 &&
+        (await revealMoreRows(processedIds))
+      ) {
+        continue;
+      }
+
       if (unprocessedFiles.length === 0) {
-        updateIndicator(
-          indicator,
-          `All done! Processed ${fileCount} file(s).`,
-          "success"
-        );
+        // Every recording is handled, so the run ends at 100% even if rows
+        // counted at the start have gone from the list
+        const finalProgress = getProgress({ ...stats, totalFiles: 0 });
+        if (dryRunReport) {
+          dryRunReport.finishedAt = Date.now();
+          await saveDryRunReport(dryRunReport);
+          const failed = dryRunReport.files.filter((file) => !file.ok).length;
+          updateIndicator(
+            indicator,
+            `Dry run done: checked ${fileCount} file(s), ${failed} would fail.`,
+            failed > 0 ? "error" : "success",
+            finalProgress
+          );
+        } else if (stats.failedFiles.length > 0) {
+          updateIndicator(
+            indicator,
+            `Done with ${fileCount} file(s); ${stats.failedFiles.length} failed after all attempts. Retry them from the extension popup.`,
+            "error",
+            finalProgress
+          );
+          console.warn(
+            "Files that failed after all attempts:",
+            stats.failedFiles.map((file) => `${file.title}: ${file.error}`)
+          );
+        } else {
+          updateIndicator(
+            indicator,
+            `All done! Processed ${fileCount} file(s).`,
+            "success",
+            finalProgress
+          );
+        }
         console.log("No more unprocessed items found. Done!");
+        runStatus = RUN_STATUSES.COMPLETED;
         stats.endTime = Date.now();
         stats.duration = stats.endTime - stats.startTime;
         setTimeout(() => indicator.remove(), 6000); // Keep timeout for indicator removal
         return stats;
       }
 
-      const fileElement = unprocessedFiles[0];
-      const titleEl = fileElement.querySelector(fileTitleSelector);
-      const fileTitle = titleEl ? titleEl.textContent.trim() : `(Untitled)`;
+      const {
+        element: fileElement,
+        recordingId,
+        title: fileTitle,
+        metadata,
+      } = unprocessedFiles[0];
+      const currentFile = {
+        recordingId,
+        title: fileTitle,
+        metadata,
+        startedAt: Date.now(),
+      };
+      const recordInLedger = async (fields) => {
+        ledger[recordingId] = await recordLedgerEntry(
+          recordingId,
+          fileTitle,
+          fields
+        );
+      };
+      console.log(`Recording id of "${fileTitle}": ${recordingId}`);
 
-      fileCount++;
+      // A retried file keeps the number it was given on its first attempt
+      const retry = retryQueue.get(recordingId);
+      const fileNumber = retry ? retry.fileNumber : ++fileCount;
+      const attempt = retry ? retry.attempts + 1 : 1;
       updateIndicator(
         indicator,
-        `Exporting file #${fileCount}: ${fileTitle}...`
+        retry
+          ? `Retrying file #${fileNumber} (attempt ${attempt} of ${settings.maxAttempts}): ${fileTitle}...`
+          : `Exporting file #${fileNumber}: ${fileTitle}...`,
+        "info",
+        getProgress(stats)
       );
-      console.log(`Starting to process "${fileTitle}"...`);
+      console.log(`Starting to process "${fileTitle}" (attempt ${attempt})...`);
+
+      // === DRY RUN: locate each control without confirming any download or delete ===
+      if (dryRunReport) {
+        updateIndicator(
+          indicator,
+          `Checking file #${fileNumber}: ${fileTitle}...`,
+          "info",
+          getProgress(stats)
+        );
+        const result = await checkFileSteps(fileElement, fileTitle, {
+          formatLabel: isAlreadyExported(
+            getLedgerEntry(ledger, recordingId, fileTitle)
+          )
+            ? null
+            : audioFormat.label,
+          checkDelete: deleteAfterExport,
+          timeouts,
+        });
+        if (!result.ok) {
+          console.warn(
+            `Dry run: "${fileTitle}" would fail at ${result.failedStep}: ${result.error}`
+          );
+        }
+        dryRunReport.files.push(result);
+        await saveDryRunReport(dryRunReport);
+        processedIds.add(recordingId);
+        updateProgress(currentFile, !result.ok);
+        continue;
+      }
 
       try {
         // --- Background mode activity ---
@@ -208,152 +672,180 @@ export async function runExportAll(backgroundMode = false) {
         }
         // --- End background mode activity ---
 
-        // === EXPORT STEPS (with dynamic waits) ===
-
-        // 1. Click on the file element. Wait for something specific that indicates the file is selected/loaded in the right panel.
-        //    Example: Wait for the share icon to appear or the title in the right panel. Adjust selector as needed.
-        await clickElement(fileElement);
-        // Instead of delay(2000), wait for the share icon using a more robust selector if possible
-        // const shareIcon = await waitForElement(shareIconSelector, 10000);
-        // Or fallback to XPath if necessary, but prefer CSS selectors
-        const shareIcon = await findElementByXPath(shareIconXPath, 10000); // Using existing XPath with wait
-        if (!shareIcon) {
-          console.warn("Could not find share icon after click for:", fileTitle);
-          throw new Error("Export step failed: unable to locate share control");
-        }
-
-        // 2. Click the share icon. Wait for the export menu/popover to appear.
-        await clickElement(shareIcon);
-        // Wait for the popover containing "Export Audio". Adjust selector if needed.
-        // Example: wait for any popover, then find the text.
-        const popoverSelector = '[id^="el-popover-"]'; // Selector for the popover container
-        const popoverElement = await waitForElement(popoverSelector, 10000);
-        // Now find the "Export Audio" option within the appeared popover
-        let exportAudioOption = await findElementByText(
-          exportAudioOptionText,
-          "li",
-          popoverElement
-        ); // Search within the specific popover
-        if (!exportAudioOption) {
-          // Fallback if text search fails within popover
-          exportAudioOption = popoverElement.querySelector(
-            exportAudioOptionSelector
+        // === EXPORT STEPS (with dynamic waits; skipped if the ledger shows a verified export) ===
+        const exportedEntry = getLedgerEntry(ledger, recordingId, fileTitle);
+        if (isAlreadyExported(exportedEntry)) {
+          console.log(
+            `"${fileTitle}" was already exported as ${exportedEntry.filename}; skipping download.`
           );
-        }
-        if (!exportAudioOption) {
-          console.warn(`Could not find '${exportAudioOptionText}' option in popover for:`, fileTitle);
-          throw new Error("Export step failed: audio export option not available");
-        }
-
-        // 3. Click the "Export Audio" option. Wait for the format selection UI (e.g., MP3 option) to appear.
-        await clickElement(exportAudioOption);
-        // Wait for the MP3 option to be visible/clickable
-        // const mp3Option = await waitForElement(mp3OptionSelector, 10000); // Using CSS selector example
-        // Or fallback to XPath/Text
-        let mp3Option = await findElementByXPath(
-          '//*[@id="rightBox"]/div[2]/div[1]/div[2]/div[1]/div[2]/div[1]/ul[1]/li[1]/div[2]',
-          10000
-        ); // Fragile XPath with wait
-        if (!mp3Option) {
-          mp3Option = await findElementByText(mp3OptionText, "div");
-        }
-        if (!mp3Option) {
-          console.warn("Could not find MP3 option for:", fileTitle);
-          throw new Error("Export step failed: format selection unavailable");
-        }
+        } else {
+          // Where the background saves this file's downloads and the values for the filename template
+          const naming = {
+            filenameTemplate: exportOptions.filenameTemplate,
+            downloadRoot: exportOptions.downloadRoot,
+            mirrorFolders: exportOptions.mirrorFolders,
+            file: {
+              title: fileTitle,
+              recordingDate: metadata.recordingDate,
+              index: fileNumber,
+              id: recordingId,
+              folder: folderName,
+            },
+          };
+
+          // The sidecar keeps everything the row shows, read before the row is clicked
+          const rowText = exportOptions.metadataSidecar
+            ? getTextFragments(fileElement)
+            : null;
+          // The row's link, for the summary note and the sidecar; clicking the
+          // row may navigate to it
+          const recordingUrl = getRecordingUrl(fileElement);
+
+          // The summary note also needs the summary still shown for the
+          // previous recording, read before the row is clicked
+          const summarySource = exportOptions.exportSummary
+            ? { sourceUrl: recordingUrl, staleSummary: readSummaryText() }
+            : null;
+
+          // 1. Click on the file element and wait for its share control in the right panel.
+          await selectFile(fileElement, fileTitle, timeouts);
+
+          // 2-5. Export the audio through the share popover and wait for the verified download.
+          updateIndicator(
+            indicator,
+            `Downloading ${audioFormat.label} for file #${fileNumber}: ${fileTitle}...`
+          );
+          const download = await exportFromShareMenu(fileTitle, {
+            optionTexts: SHARE_OPTION_TEXTS.audio,
+            formatLabel: audioFormat.label,
+            extension: audioFormat.extension,
+            timeouts,
+            ...naming,
+            // ID3 tags only exist for MP3; WAV files are saved as Plaud sends them
+            tags:
+              exportOptions.id3Tags && audioFormat.extension === "mp3"
+                ? buildAudioTags(metadata, recordingId, folderName)
+                : undefined,
+          });
+          console.log(
+            `Download verified for "${fileTitle}": ${download.filename} (${download.fileSize} bytes)`
+          );
+          if (download.taggingError) {
+            updateIndicator(
+              indicator,
+              `Exported file #${fileNumber} without ID3 tags: ${download.taggingError}`,
+              "info"
+            );
+          }
 
-        // 4. Click the MP3 format option. Wait for the final export button to appear/become enabled.
-        await clickElement(mp3Option);
-        // Wait for the final Export button
-        // const exportButton = await waitForElement(exportButtonSelector, 10000); // Using CSS selector example
-        // Or fallback
-        let exportButton = await findElementByXPath(
-          '//*[@id="rightBox"]/div[2]/div[1]/div[2]/div[1]/div[2]/div[1]/div[3]',
-          10000
-        ); // Fragile XPath with wait
-        if (!exportButton) {
-          exportButton = await findElementByText(exportButtonText, "div");
-        }
-        if (!exportButton) {
-          console.warn("Could not find final export button for:", fileTitle);
-          throw new Error("Export step failed: export action unavailable");
-        }
+          // 6. Optionally export the transcript, saved next to the audio under the same base name.
+          let transcriptDownload = null;
+          if (transcriptFormat) {
+            await resetDomState();
+            updateIndicator(
+              indicator,
+              `Downloading ${transcriptFormat.label} transcript for file #${fileNumber}: ${fileTitle}...`
+            );
+            transcriptDownload = await exportFromShareMenu(fileTitle, {
+              optionTexts: SHARE_OPTION_TEXTS.transcript,
+              formatLabel: transcriptFormat.label,
+              extension: transcriptFormat.extension,
+              baseName: getDownloadBaseName(download.filename),
+              timeouts,
+              ...naming,
+            });
+            console.log(
+              `Transcript verified for "${fileTitle}": ${transcriptDownload.filename}`
+            );
+          }
 
-        // 5. Locate and click the final export button. Start download monitoring.
-        _downloadErrorOccurred = false;
-        await clickElement(exportButton);
+          // 7. Optionally save the AI summary as a Markdown note next to the audio.
+          let summaryFile = null;
+          if (exportOptions.exportSummary) {
+            await resetDomState();
+            updateIndicator(
+              indicator,
+              `Saving summary for file #${fileNumber}: ${fileTitle}...`
+            );
+            summaryFile = await exportSummary(
+              { metadata, ...summarySource },
+              download.filename,
+              getDownloadBaseName(download.filename),
+              naming,
+              timeouts
+            );
+            if (summaryFile) {
+              console.log(
+                `Summary saved for "${fileTitle}": ${summaryFile.filename}`
+              );
+            }
+          }
 
-        // Wait for download result (this already has a timeout)
-        // The fixed 5-sec delay is removed, relying solely on waitForDownloadResult
-        await waitForDownloadResult(); // This function internally uses polling & timeout
+          // 8. Optionally save the recording's metadata as a JSON sidecar next to the audio.
+          let sidecarFile = null;
+          if (exportOptions.metadataSidecar) {
+            sidecarFile = await saveMetadataSidecar(
+              {
+                recordingId,
+                metadata,
+                rowText,
+                folder: folderName,
+                sourceUrl: recordingUrl,
+              },
+              {
+                audio: download.filename,
+                format: audioFormat.extension,
+                fileSize: download.fileSize,
+                transcript: transcriptDownload?.filename,
+                summary: summaryFile?.filename,
+              },
+              getDownloadBaseName(download.filename),
+              naming
+            );
+            console.log(
+              `Metadata sidecar saved for "${fileTitle}": ${sidecarFile.filename}`
+            );
+          }
 
-        if (_downloadErrorOccurred) {
-          console.warn("Download failed - browser reported download error for:", fileTitle);
-          throw new Error("Download failed for this file");
+          // Only a complete export (audio plus any requested transcript/summary/sidecar) is recorded,
+          // so a failed transcript is retried together with the audio next time.
+          await recordInLedger({
+            exportedAt: Date.now(),
+            filename: download.filename,
+            format: audioFormat.extension,
+            fileSize: download.fileSize,
+            transcriptFilename: transcriptDownload
+              ? transcriptDownload.filename
+              : null,
+            summaryFilename: summaryFile ? summaryFile.filename : null,
+            sidecarFilename: sidecarFile ? sidecarFile.filename : null,
+            outcome: LEDGER_OUTCOMES.EXPORTED,
+            error: null,
+          });
         }
-        console.log("Download initiated/completed for", fileTitle);
 
         // Reset the DOM state before starting deletion (resetDomState might still use a delay internally)
         await resetDomState();
 
-        // === DELETE STEPS ===
-
-        updateIndicator(
-          indicator,
-          `Deleting file #${fileCount}: ${fileTitle}...`
-        );
-        console.log(`Beginning deletion for "${fileTitle}"...`);
-
-        // Attempt to right-click the file element. rightClickWithRetry handles its own waits/retries.
-        // It now dynamically waits for the menu instead of using fixed delay.
-        await rightClickWithRetry(fileElement, 3); // No menu element needed here, just trigger it.
-
-        // Wait for the "Delete" menu item to appear using the existing polling function.
-        const deleteItem = await waitForDeleteMenuItem(15000); // This function already polls dynamically
-        if (!deleteItem) {
-          throw new Error(
-            `Could not find 'Delete' menu item for "${fileTitle}"`
+        // === DELETE STEPS (skipped in export-only mode) ===
+        if (deleteAfterExport) {
+          updateIndicator(
+            indicator,
+            `Deleting file #${fileNumber}: ${fileTitle}...`
           );
-        }
+          console.log(`Beginning deletion for "${fileTitle}"...`);
 
-        // Click the "Delete" menu item. Wait for the item to disappear from the list.
-        const initialFileCount =
-          document.querySelectorAll(fileInfoSelector).length;
-        await clickElement(deleteItem);
+          // Right-click, click "Delete" and wait for the row to leave the list (see DELETE_RECIPE).
+          await deleteFile(fileElement, fileTitle, timeouts);
+          console.log(`File "${fileTitle}" removed from the list.`);
 
-        // Instead of delay(4000), wait for the file element to be removed or count to decrease.
-        try {
-          await waitForCondition(
-            () => {
-              const currentFileCount =
-                document.querySelectorAll(fileInfoSelector).length;
-              const elementStillExists = document.body.contains(fileElement);
-              // Condition met if element is gone OR file count decreased
-              return !elementStillExists || currentFileCount < initialFileCount;
-            },
-            10000, // Wait up to 10 seconds for deletion
-            `file element "${fileTitle}" removal`
-          );
-          console.log(`File "${fileTitle}" removed from DOM.`);
-        } catch (e) {
-          console.warn(
-            `File "${fileTitle}" might not have been removed automatically after delete click. Attempting manual removal.`
-          );
-          // Force-remove if still present after timeout (existing logic)
-          if (document.body.contains(fileElement)) {
-            console.log(`Force-removing leftover item for: ${fileTitle}`);
-            const liParent = fileElement.closest("li");
-            if (liParent) {
-              liParent.remove();
-            } else {
-              fileElement.remove();
-            }
-          }
+          await recordInLedger({
+            deleted: true,
+            deletedAt: Date.now(),
+            error: null,
+          });
         }
 
-        // Reset the DOM state after deletion
-        await resetDomState();
-
         // Clean up scroll interval for this file
         if (scrollIntervalId) {
           clearInterval(scrollIntervalId);
@@ -361,12 +853,15 @@ export async function runExportAll(backgroundMode = false) {
         }
 
         // Mark the file as processed
-        processedTitles.add(fileTitle);
-        updateProgress(fileTitle);
+        retryQueue.delete(recordingId);
+        processedIds.add(recordingId);
+        updateProgress(currentFile);
         console.log(
-          `File #${fileCount} ("${fileTitle}") exported & deleted successfully.`
+          `File #${fileNumber} ("${fileTitle}") ${
+            deleteAfterExport ? "exported & deleted" : "exported"
+          } successfully.`
         );
-        errorCount = 0; // Reset error counter
+        consecutiveErrorIds.clear(); // Reset error counter
       } catch (error) {
         // Clean up scroll interval on error
         if (scrollIntervalId) {
@@ -374,18 +869,33 @@ export async function runExportAll(backgroundMode = false) {
           scrollIntervalId = null;
         }
 
-        errorCount++;
+        consecutiveErrorIds.add(recordingId);
         console.error(
-          `File #${fileCount} ("${fileTitle}") failed:`,
+          `File #${fileNumber} ("${fileTitle}") failed:`,
           error.message,
           error.stack // Log stack trace for better debugging
         );
         updateIndicator(
           indicator,
-          `Error with file #${fileCount}: ${error.message.substring(0, 50)}...`,
+          `Error with file #${fileNumber}: ${error.message.substring(0, 50)}...`,
           "error"
         );
-        updateProgress(fileTitle, true); // Mark as errored
+
+        // Remember the failure; a verified export stays recorded so a retry only repeats the delete
+        try {
+          await recordInLedger({
+            ...(isAlreadyExported(
+              getLedgerEntry(ledger, recordingId, fileTitle)
+            )
+              ? {}
+              : { outcome: LEDGER_OUTCOMES.ERROR }),
+            error: error.message,
+            failedAt: Date.now(),
+            attempts: attempt,
+          });
+        } catch (e) {
+          console.warn("Failed to record error in export ledger:", e);
+        }
 
         // Attempt to clear UI state (resetDomState might be sufficient)
         try {
@@ -397,8 +907,32 @@ export async function runExportAll(backgroundMode = false) {
           await delay(500);
         }
 
-        // Mark the file as processed even if export/delete failed to avoid retrying it indefinitely
-        processedTitles.add(fileTitle);
+        // Queue the file for another attempt, or give up on it once it is out of attempts
+        if (attempt < settings.maxAttempts) {
+          const backoffMs = getRetryDelay(attempt);
+          retryQueue.set(recordingId, {
+            title: fileTitle,
+            attempts: attempt,
+            nextAttemptAt: Date.now() + backoffMs,
+            fileNumber,
+            error: error.message,
+          });
+          console.log(
+            `Will retry "${fileTitle}" in ${backoffMs / 1000}s (attempt ${
+              attempt + 1
+            } of ${settings.maxAttempts})`
+          );
+        } else {
+          retryQueue.delete(recordingId);
+          processedIds.add(recordingId);
+          stats.failedFiles.push({
+            recordingId,
+            title: fileTitle,
+            error: error.message,
+            attempts: attempt,
+          });
+          updateProgress(currentFile, true); // Mark as errored
+        }
 
         console.log("Continuing with next file after error...");
         // No delay needed here, the loop will continue after the catch block
@@ -408,57 +942,23 @@ export async function runExportAll(backgroundMode = false) {
       // await delay(500); // Reduced or removed delay
     }
   } finally {
-    removeDownloadErrorListener();
-    return stats;
-  }
-}
-
-// --- setupDownloadErrorListener, removeDownloadErrorListener, waitForDownloadResult remain the same ---
-/** Sets up a listener to detect download errors. */
-function setupDownloadErrorListener() {
-  removeDownloadErrorListener(); // Clean up any existing listener first
-  _downloadErrorOccurred = false;
-  _downloadErrorListener = function (event) {
-    if (event.target.localName === "a" && event.type === "error") {
-      console.error("Download error detected:", event);
-      _downloadErrorOccurred = true;
-    }
-  };
-  document.addEventListener("error", _downloadErrorListener, true);
-  _originalConsoleError = console.error;
-  console.error = function () {
-    for (let i = 0; i < arguments.length; i++) {
-      const arg = String(arguments[i]);
-      if (arg.includes("download") && arg.includes("error")) {
-        _downloadErrorOccurred = true;
-        break;
+    if (run) {
+      await saveRunProgress({ status: runStatus, finishedAt: Date.now() });
+      // The manifest lists what the run did, so a run that handled nothing writes none
+      if (run.files.length > 0) {
+        try {
+          const saved = await saveExportManifest(run, {
+            csv: exportOptions.manifestCsv,
+            downloadRoot: exportOptions.downloadRoot,
+            mirrorFolders: exportOptions.mirrorFolders,
+            folder: folderName,
+          });
+          console.log("Export manifest saved:", saved.join(", "));
+        } catch (e) {
+          console.warn("Failed to save the export manifest:", e);
+        }
       }
     }
-    _originalConsoleError.apply(console, arguments);
-  };
-}
-/** Removes the download error listener. */
-function removeDownloadErrorListener() {
-  if (_downloadErrorListener) {
-    document.removeEventListener("error", _downloadErrorListener, true);
-  }
-  if (_originalConsoleError) {
-    console.error = _originalConsoleError;
+    return stats;
   }
 }
-/** Waits for download error flag or timeout. */
-function waitForDownloadResult() {
-  return new Promise((resolve) => {
-    const checkInterval = setInterval(() => {
-      if (_downloadErrorOccurred) {
-        clearInterval(checkInterval);
-        resolve();
-      }
-    }, 500);
-    setTimeout(() => {
-      clearInterval(checkInterval);
-      resolve(); // Resolve anyway on timeout
-    }, 10000); // 10-second timeout
-  });
-}
-// --- End of unchanged functions ---
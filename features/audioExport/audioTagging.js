@@ -0,0 +1,72 @@
+/**
+ * features/audioExport/audioTagging.js
+ * Optional ID3 tagging of exported MP3s. The background cancels Plaud's
+ * download before it is written and reports its URL; the audio is fetched
+ * once here (in the page, which may read Plaud's URLs), tagged with
+ * common/id3Writer.js and downloaded again from an object URL, which the
+ * background routes and verifies like Plaud's own download. If the audio
+ * cannot be fetched, the background saves the original download.
+ */
+import { writeId3Tags } from "../../common/id3Writer.js";
+
+/**
+ * Builds the ID3 tags for a recording.
+ *
+ * @param {Object} metadata - From scrapeRecordingMetadata().
+ * @param {string} recordingId - The recording's id (see getRecordingId).
+ * @param {string|null} folder - The Plaud folder it is exported from.
+ * @returns {{title: string, album: string, recordingDate: string|null, comment: string}}
+ *   Tags for writeId3Tags.
+ */
+export function buildAudioTags(metadata, recordingId, folder) {
+  return {
+    title: metadata.title,
+    album: folder ? `Plaud ${folder}` : "Plaud",
+    recordingDate: metadata.recordingDate,
+    comment: recordingId,
+  };
+}
+
+/**
+ * Fetches the audio of a download the background handed over for tagging
+ * and writes the tags into it.
+ *
+ * @param {string} url - URL of Plaud's (cancelled) download.
+ * @param {Object} tags - Tags for writeId3Tags.
+ * @returns {Promise<Blob>} The tagged file.
+ * @throws {Error} - If the audio could not be fetched.
+ */
+export async function fetchTaggedAudio(url, tags) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`could not fetch the audio (${error.message})`);
+  }
+  if (!response.ok) {
+    throw new Error(`could not fetch the audio (HTTP ${response.status})`);
+  }
+  const audio = new Uint8Array(await response.arrayBuffer());
+  return new Blob([writeId3Tags(audio, tags)], { type: "audio/mpeg" });
+}
+
+/**
+ * Downloads a tagged file from the page through an object URL, so the file
+ * never passes through extension messages or a data URL.
+ *
+ * @param {Blob} audio - The tagged file from fetchTaggedAudio().
+ * @param {string} filename - Name for the download; the background routes it
+ *   to the path Plaud's download was meant for.
+ * @returns {string} The object URL, to be revoked once the download finished.
+ */
+export function downloadTaggedAudio(audio, filename) {
+  const objectUrl = URL.createObjectURL(audio);
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = filename;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  return objectUrl;
+}
@@ -0,0 +1,25 @@
+/**
+ * features/audioExport/deleteSteps.js
+ * Deletes a recording from Plaud's list through its context menu, run through
+ * the workflow engine (the steps are DELETE_RECIPE in features/workflow/recipes.js).
+ */
+import { runWorkflow } from "../workflow/workflowEngine.js";
+import { DELETE_RECIPE } from "../workflow/recipes.js";
+
+/**
+ * Right-clicks the file, clicks "Delete" and waits for the file to leave the list
+ * (removing its row manually if Plaud does not), then dismisses any open menu.
+ *
+ * @param {Element} fileElement - The file row element of the file.
+ * @param {string} fileTitle - The file title (for error messages).
+ * @param {Object} [timeouts={}] - Waits in milliseconds (deleteMenuWaitMs, fileListWaitMs).
+ * @returns {Promise<void>}
+ * @throws {Error} - If the context menu or its Delete item cannot be found.
+ */
+export async function deleteFile(fileElement, fileTitle, timeouts = {}) {
+  await runWorkflow(DELETE_RECIPE, {
+    vars: { fileTitle },
+    elements: { file: fileElement },
+    timeouts,
+  });
+}
@@ -0,0 +1,281 @@
+/**
+ * features/audioExport/downloadTracker.js
+ * Content-side half of download verification. The background service worker
+ * watches chrome.downloads for the file being exported and reports its state
+ * back with "downloadStatus" messages; this module turns those reports into
+ * promises the export flow can await before deleting anything.
+ */
+
+import { downloadTaggedAudio, fetchTaggedAudio } from "./audioTagging.js";
+
+// Pending verifications keyed by file title: { started, result, onUpdate, tags, objectUrl }
+const pendingVerifications = new Map();
+
+/**
+ * Tags a download the background handed over and downloads the tagged file
+ * again, which the background verifies like any other download. Without tags
+ * (the audio could not be fetched), the background saves the original
+ * download instead and the file is exported all the same.
+ *
+ * @param {string} title - The tracked file title.
+ * @param {string} url - URL of Plaud's download.
+ * @param {Object} entry - The file's pending verification.
+ * @returns {Promise<Object|null>} The verification result, or null when it
+ *   follows with "downloadStatus" reports for the tagged download.
+ */
+async function saveTaggedAudio(title, url, entry) {
+  let audio = null;
+  let taggingError = null;
+  try {
+    audio = await fetchTaggedAudio(url, entry.tags);
+  } catch (error) {
+    taggingError = error.message;
+    console.warn(
+      `ID3 tags not written, saving the untagged file: ${taggingError}`
+    );
+  }
+
+  const response = await chrome.runtime
+    .sendMessage({ action: "saveTaggedAudio", title, tagged: !!audio })
+    .catch((e) => ({ success: false, error: e.message }));
+  if (!response || !response.success) {
+    return { ok: false, error: response?.error || "no response" };
+  }
+  if (audio) {
+    if (pendingVerifications.get(title) !== entry) return null;
+    entry.objectUrl = downloadTaggedAudio(audio, response.filename);
+    return null;
+  }
+  return {
+    ok: true,
+    downloadId: response.downloadId,
+    filename: response.filename,
+    fileSize: response.fileSize,
+    ...(taggingError && { taggingError }),
+  };
+}
+
+/**
+ * Registers the file with the background so the next download can be
+ * correlated with it. Must be awaited before the export button is clicked.
+ *
+ * @param {string} title - The title of the file about to be exported.
+ * @param {string} extension - The file extension the download is expected to have (e.g. "mp3").
+ * @param {Object} [naming={}] - How the background names the saved file.
+ * @param {string} [naming.baseName] - Filename without extension to save the download under
+ *   (used to put a transcript next to its audio).
+ * @param {string} [naming.filenameTemplate] - Filename template (see common/filenameTemplate.js);
+ *   Plaud's own filename is kept if neither a template nor a base name is given.
+ * @param {string} [naming.downloadRoot] - Directory below the browser's download directory.
+ * @param {boolean} [naming.mirrorFolders] - Whether to add a subdirectory named after `file.folder`.
+ * @param {Object} [naming.file] - Token values for the template ({ title, recordingDate, index, id, folder }).
+ * @param {Object} [naming.tags] - ID3 tags to write into an MP3 download (see
+ *   audioTagging.js); the background hands the download over to be tagged
+ *   before it is saved.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the background could not start tracking the download.
+ */
+export async function beginDownloadTracking(title, extension, naming = {}) {
+  pendingVerifications.set(title, {
+    started: false,
+    result: null,
+    onUpdate: null,
+    tags: naming.tags || null,
+    objectUrl: null,
+  });
+
+  const response = await chrome.runtime
+    .sendMessage({
+      action: "trackDownload",
+      title,
+      extension,
+      baseName: naming.baseName,
+      filenameTemplate: naming.filenameTemplate,
+      downloadRoot: naming.downloadRoot,
+      mirrorFolders: naming.mirrorFolders,
+      file: naming.file,
+      tag: !!naming.tags,
+    })
+    .catch((e) => ({ success: false, error: e.message }));
+
+  if (!response || !response.success) {
+    pendingVerifications.delete(title);
+    throw new Error(
+      `Unable to track download: ${response?.error || "no response"}`
+    );
+  }
+}
+
+/**
+ * Waits until the background confirms the download completed with a
+ * non-zero size, or reports that it failed.
+ *
+ * @param {string} title - The title passed to beginDownloadTracking.
+ * @param {number} [startTimeoutMs=60000] - Max wait for the download to start.
+ * @param {number} [completeTimeoutMs=600000] - Max wait for the download to finish once started.
+ * @returns {Promise<{downloadId: number, filename: string, fileSize: number, taggingError?: string}>}
+ *   - The verified download; `taggingError` is set when ID3 tags were requested
+ *   but could not be written, and the untagged download was saved instead.
+ * @throws {Error} - If the download failed, was interrupted or timed out.
+ */
+export async function waitForDownloadVerification(
+  title,
+  startTimeoutMs = 60000,
+  completeTimeoutMs = 600000
+) {
+  const entry = pendingVerifications.get(title);
+  if (!entry) {
+    throw new Error(`Download for "${title}" is not being tracked`);
+  }
+
+  let timeoutId = null;
+  try {
+    const result = await new Promise((resolve) => {
+      const armTimeout = () => {
+        clearTimeout(timeoutId);
+        const timeoutMs = entry.started ? completeTimeoutMs : startTimeoutMs;
+        timeoutId = setTimeout(() => {
+          resolve({
+            ok: false,
+            error: entry.started
+              ? `download did not complete within ${timeoutMs / 1000}s`
+              : `download did not start within ${timeoutMs / 1000}s`,
+          });
+        }, timeoutMs);
+      };
+
+      entry.onUpdate = () => {
+        if (entry.result) {
+          resolve(entry.result);
+        } else {
+          armTimeout(); // Download started: switch to the completion timeout
+        }
+      };
+
+      if (entry.result) {
+        resolve(entry.result); // Report arrived before we started waiting
+      } else {
+        armTimeout();
+      }
+    });
+
+    if (!result.ok) {
+      throw new Error(`Download failed: ${result.error}`);
+    }
+    return {
+      downloadId: result.downloadId,
+      filename: result.filename,
+      fileSize: result.fileSize,
+      ...(result.taggingError && { taggingError: result.taggingError }),
+    };
+  } finally {
+    clearTimeout(timeoutId);
+    stopDownloadTracking(title);
+  }
+}
+
+/**
+ * Drops the tracking state of a file on both sides, e.g. when the export
+ * failed before its download could start, so the background does not claim
+ * an unrelated later download for it.
+ *
+ * @param {string} title - The title passed to beginDownloadTracking.
+ */
+export function stopDownloadTracking(title) {
+  const entry = pendingVerifications.get(title);
+  if (entry?.objectUrl) URL.revokeObjectURL(entry.objectUrl);
+  pendingVerifications.delete(title);
+  // Let the background drop its tracking state (no-op if already settled)
+  chrome.runtime
+    .sendMessage({ action: "untrackDownload", title })
+    .catch(() => {});
+}
+
+/**
+ * Asks the background to save text generated by the extension (notes,
+ * metadata) into the download folder next to the exported audio.
+ *
+ * @param {string} baseName - Filename without extension.
+ * @param {string} extension - File extension (e.g. "md").
+ * @param {string} content - The file content.
+ * @param {Object} [naming={}] - Download root, filename template and token values,
+ *   as for beginDownloadTracking; the file keeps the template's directory.
+ * @returns {Promise<{downloadId: number, filename: string}>} The saved file.
+ * @throws {Error} - If the background could not save the file.
+ */
+export async function saveGeneratedFile(
+  baseName,
+  extension,
+  content,
+  naming = {}
+) {
+  const response = await chrome.runtime
+    .sendMessage({
+      action: "saveGeneratedFile",
+      baseName,
+      extension,
+      content,
+      filenameTemplate: naming.filenameTemplate,
+      downloadRoot: naming.downloadRoot,
+      mirrorFolders: naming.mirrorFolders,
+      file: naming.file,
+    })
+    .catch((e) => ({ success: false, error: e.message }));
+
+  if (!response || !response.success) {
+    throw new Error(
+      `Unable to save ${extension} file: ${response?.error || "no response"}`
+    );
+  }
+  return { downloadId: response.downloadId, filename: response.filename };
+}
+
+/**
+ * Returns the filename of a downloaded file without directory or extension.
+ *
+ * @param {string} filename - The absolute path reported by chrome.downloads.
+ * @returns {string} The base name (e.g. "Meeting 01" for ".../PlaudExports/Meeting 01.mp3").
+ */
+export function getDownloadBaseName(filename) {
+  const name = String(filename || "").split(/[\\/]/).pop();
+  const dotIndex = name.lastIndexOf(".");
+  return dotIndex > 0 ? name.slice(0, dotIndex) : name;
+}
+
+/**
+ * Handles a "downloadStatus" message from the background.
+ *
+ * @param {Object} status - The status report.
+ * @param {string} status.title - The tracked file title.
+ * @param {string} status.state - "started", "tagging" (the download was
+ *   cancelled to be saved with ID3 tags), "complete" or "failed".
+ * @returns {boolean} Whether the report matched a pending verification.
+ */
+export function handleDownloadStatus(status) {
+  const entry = pendingVerifications.get(status?.title);
+  if (!entry) return false;
+
+  if (status.state === "started") {
+    entry.started = true;
+  } else if (status.state === "tagging") {
+    // The completion timeout covers fetching, tagging and saving the file
+    entry.started = true;
+    saveTaggedAudio(status.title, status.url, entry).then((result) => {
+      if (!result || pendingVerifications.get(status.title) !== entry) return;
+      entry.result = result;
+      if (entry.onUpdate) entry.onUpdate();
+    });
+  } else if (status.state === "complete") {
+    entry.result = {
+      ok: true,
+      downloadId: status.downloadId,
+      filename: status.filename,
+      fileSize: status.fileSize,
+    };
+  } else {
+    entry.result = { ok: false, error: status.error || "unknown error" };
+  }
+
+  if (entry.onUpdate) entry.onUpdate();
+  return true;
+}
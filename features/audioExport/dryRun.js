@@ -0,0 +1,101 @@
+/**
+ * features/audioExport/dryRun.js
+ * Read-only rehearsal of the export flow. For each file it locates every
+ * control the real run would click (share icon, export option, format option,
+ * export button, Delete menu item) without confirming a download or delete,
+ * and stores a report the popup can show.
+ */
+import { DRY_RUN_REPORT_KEY } from "../../common/exportOptions.js";
+import { saveData } from "../../common/storageUtils.js";
+import { runWorkflow } from "../workflow/workflowEngine.js";
+import {
+  DELETE_RECIPE,
+  SELECT_FILE_RECIPE,
+  SHARE_EXPORT_RECIPE,
+  SHARE_OPTION_TEXTS,
+} from "../workflow/recipes.js";
+import { resetDomState } from "./deleteHelpers.js";
+
+// Report step (shown by the popup) for each recipe step the dry run goes through
+const REPORT_STEPS = {
+  file: "select",
+  shareIcon: "select",
+  sharePopover: "exportOption",
+  exportOption: "exportOption",
+  formatOption: "format",
+  exportButton: "exportButton",
+  contextMenu: "deleteMenu",
+  deleteMenuItem: "deleteMenu",
+};
+
+/**
+ * Checks that every control needed to export (and optionally delete) a file can be found.
+ * Menus opened along the way are dismissed with resetDomState.
+ *
+ * @param {Element} fileElement - The file row element of the file.
+ * @param {string} fileTitle - The file title.
+ * @param {Object} checks - What the real run would do with the file.
+ * @param {string|null} checks.formatLabel - Text of the format entry, or null if the
+ *   file would not be downloaded (already exported per the ledger).
+ * @param {boolean} checks.checkDelete - Whether the file would be deleted.
+ * @param {Object} [checks.timeouts={}] - Waits in milliseconds (elementWaitMs, deleteMenuWaitMs),
+ *   as used by the real run.
+ *
+ * The export and delete recipes run up to their final click: the export
+ * button and the Delete menu item are located but never clicked.
+ * @returns {Promise<{title: string, ok: boolean, failedStep: string|null, error: string|null,
+ *   wouldExport: boolean, wouldDelete: boolean}>} The result for the report.
+ */
+export async function checkFileSteps(fileElement, fileTitle, checks) {
+  const result = {
+    title: fileTitle,
+    ok: true,
+    failedStep: null,
+    error: null,
+    wouldExport: !!checks.formatLabel,
+    wouldDelete: checks.checkDelete,
+  };
+  const context = {
+    vars: {
+      fileTitle,
+      optionTexts: SHARE_OPTION_TEXTS.audio,
+      formatLabel: checks.formatLabel,
+    },
+    elements: { file: fileElement },
+    timeouts: checks.timeouts || {},
+  };
+  try {
+    if (checks.formatLabel) {
+      await runWorkflow(SELECT_FILE_RECIPE, context);
+      // Picking the format only changes the dialog; the export button is never clicked
+      await runWorkflow(SHARE_EXPORT_RECIPE, context, {
+        stopAt: "exportButton",
+      });
+      await resetDomState();
+    }
+    if (checks.checkDelete) {
+      await runWorkflow(DELETE_RECIPE, context, { stopAt: "deleteMenuItem" });
+      await resetDomState();
+    }
+  } catch (error) {
+    result.ok = false;
+    result.failedStep = REPORT_STEPS[error.step] || error.step || "select";
+    result.error = error.message;
+    await resetDomState().catch(() => {});
+  }
+  return result;
+}
+
+/**
+ * Stores the dry-run report for the popup.
+ *
+ * @param {Object} report - { startedAt, finishedAt, mode, files }.
+ * @returns {Promise<void>}
+ */
+export async function saveDryRunReport(report) {
+  try {
+    await saveData(DRY_RUN_REPORT_KEY, report);
+  } catch (e) {
+    console.warn("Failed to save dry-run report:", e);
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * features/audioExport/exportLedger.js
+ * Persistent record (chrome.storage.local) of every recording the exporter
+ * has handled, so later runs can skip work that is already done.
+ *
+ * Each entry is keyed by the recording's id (see getRecordingId in
+ * recordingMetadata.js) and has the shape:
+ * { recordingId, title, exportedAt, filename, format, fileSize, outcome, deleted, deletedAt?, error?, failedAt?, attempts? }
+ *
+ * Entries written before recordings had ids are keyed by title and have no
+ * `recordingId`; they are matched by title and re-keyed when next updated.
+ *
+ * `error` is set while the last attempt at the recording failed; the audio
+ * may still have been exported (outcome "exported") if only the delete failed.
+ */
+import { loadData, saveData, clearData } from "../../common/storageUtils.js";
+
+const LEDGER_KEY = "exportLedger";
+
+/** Possible values of a ledger entry's `outcome`. */
+export const LEDGER_OUTCOMES = {
+  EXPORTED: "exported",
+  ERROR: "error",
+};
+
+/**
+ * Loads the whole ledger.
+ *
+ * @returns {Promise<Object<string, Object>>} Ledger entries keyed by recording id.
+ */
+export async function loadLedger() {
+  return loadData(LEDGER_KEY, {});
+}
+
+/**
+ * Returns the title-keyed entry an older version recorded for a title, if any.
+ */
+function getLegacyEntry(ledger, title) {
+  const entry = ledger[title];
+  return entry && !entry.recordingId ? entry : undefined;
+}
+
+/**
+ * Finds the ledger entry for a recording.
+ *
+ * @param {Object<string, Object>} ledger - The ledger, as loaded.
+ * @param {string} recordingId - The recording's id.
+ * @param {string} title - The recording's title (for entries written before ids).
+ * @returns {Object|undefined} The entry, if any.
+ */
+export function getLedgerEntry(ledger, recordingId, title) {
+  return ledger[recordingId] || getLegacyEntry(ledger, title);
+}
+
+/**
+ * Merges fields into the ledger entry for a recording and persists it.
+ * The ledger is re-read before writing so concurrent runs lose as little as possible.
+ *
+ * @param {string} recordingId - The recording's id.
+ * @param {string} title - The recording title.
+ * @param {Object} fields - Entry fields to set (outcome, filename, deleted, ...).
+ * @returns {Promise<Object>} The updated entry.
+ */
+export async function recordLedgerEntry(recordingId, title, fields) {
+  const ledger = await loadLedger();
+  const legacy = ledger[recordingId] ? undefined : getLegacyEntry(ledger, title);
+  if (legacy) delete ledger[title];
+  const entry = {
+    ...(ledger[recordingId] || legacy || { deleted: false }),
+    ...fields,
+    title,
+    recordingId,
+  };
+  ledger[recordingId] = entry;
+  await saveData(LEDGER_KEY, ledger);
+  return entry;
+}
+
+/**
+ * Removes every ledger entry, so the next run treats all recordings as new.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearLedger() {
+  await clearData(LEDGER_KEY);
+}
+
+/**
+ * Summarizes the ledger for display.
+ *
+ * @returns {Promise<{total: number, exported: number, deleted: number, errored: number}>}
+ */
+export async function getLedgerSummary() {
+  const entries = Object.values(await loadLedger());
+  return {
+    total: entries.length,
+    exported: entries.filter((e) => e.outcome === LEDGER_OUTCOMES.EXPORTED)
+      .length,
+    deleted: entries.filter((e) => e.deleted).length,
+    errored: entries.filter((e) => e.error).length,
+  };
+}
+
+/**
+ * Lists the recordings whose last attempt failed, most recent failure first,
+ * so the popup can offer to retry them.
+ *
+ * @returns {Promise<Array<{recordingId?: string, title: string, error: string,
+ *   failedAt?: number, attempts?: number}>>}
+ */
+export async function getFailedEntries() {
+  return Object.values(await loadLedger())
+    .filter((e) => e.error)
+    .sort((a, b) => (b.failedAt || 0) - (a.failedAt || 0));
+}
+
+/**
+ * Whether a recording's audio has already been exported successfully.
+ *
+ * @param {Object|undefined} entry - The ledger entry, if any.
+ * @returns {boolean}
+ */
+export function isAlreadyExported(entry) {
+  return !!entry && entry.outcome === LEDGER_OUTCOMES.EXPORTED;
+}
+
+/**
+ * Whether a recording needs no further work in the given run.
+ *
+ * @param {Object|undefined} entry - The ledger entry, if any.
+ * @param {boolean} deleteAfterExport - Whether the run deletes exported recordings.
+ * @returns {boolean}
+ */
+export function isLedgerComplete(entry, deleteAfterExport) {
+  return isAlreadyExported(entry) && (entry.deleted || !deleteAfterExport);
+}
@@ -0,0 +1,105 @@
+/**
+ * features/audioExport/exportManifest.js
+ * Machine-readable record of an export run, saved next to the exported audio
+ * as manifest-<timestamp>.json (plus an optional CSV) for archival audits.
+ * It lists every recording the run handled, as kept in the run history (see
+ * runHistory.js), so a run resumed after a page reload is listed in full.
+ */
+import { toCsv } from "../../common/csvUtils.js";
+import { saveGeneratedFile } from "./downloadTracker.js";
+
+/** Columns of the CSV manifest, one line per recording. */
+export const MANIFEST_COLUMNS = [
+  "recordingId",
+  "title",
+  "recordingDate",
+  "durationSeconds",
+  "filename",
+  "format",
+  "fileSize",
+  "outcome",
+  "error",
+  "deleted",
+];
+
+/**
+ * Formats the start of a run for the manifest's filename, e.g. "2024-05-01_14-03-22".
+ */
+function formatManifestTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, "0");
+  const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+  const clock = [date.getHours(), date.getMinutes(), date.getSeconds()];
+  return `${day.map(pad).join("-")}_${clock.map(pad).join("-")}`;
+}
+
+/**
+ * Builds the manifest of a run.
+ *
+ * @param {Object} run - The run, as kept in the run history.
+ * @param {string|null} folder - The Plaud folder the run exported from.
+ * @returns {Object} The manifest: run details and one entry per recording.
+ */
+export function buildManifest(run, folder) {
+  return {
+    generatedAt: new Date().toISOString(),
+    runStartedAt: new Date(run.startedAt).toISOString(),
+    runFinishedAt: run.finishedAt
+      ? new Date(run.finishedAt).toISOString()
+      : null,
+    status: run.status,
+    mode: run.mode,
+    plaudFolder: folder,
+    counts: run.counts,
+    recordings: run.files.map((file) =>
+      Object.fromEntries(
+        MANIFEST_COLUMNS.map((column) => [column, file[column] ?? null])
+      )
+    ),
+  };
+}
+
+/**
+ * Saves the manifest of a run through the background's download routing, in
+ * the run's download folder (the filename template does not apply).
+ *
+ * @param {Object} run - The run, as kept in the run history.
+ * @param {Object} options
+ * @param {boolean} options.csv - Whether to save a CSV copy as well.
+ * @param {string} options.downloadRoot - The download root.
+ * @param {boolean} options.mirrorFolders - Whether downloads go to a
+ *   subdirectory named after the Plaud folder.
+ * @param {string|null} options.folder - The Plaud folder the run exported from.
+ * @returns {Promise<string[]>} Filenames of the saved files.
+ * @throws {Error} - If the background could not save a file.
+ */
+export async function saveExportManifest(run, options) {
+  const manifest = buildManifest(run, options.folder);
+  const baseName = `manifest-${formatManifestTimestamp(run.startedAt)}`;
+  const naming = {
+    filenameTemplate: "",
+    downloadRoot: options.downloadRoot,
+    mirrorFolders: options.mirrorFolders,
+    file: { folder: options.folder },
+  };
+
+  const saved = [
+    await saveGeneratedFile(
+      baseName,
+      "json",
+      JSON.stringify(manifest, null, 2),
+      naming
+    ),
+  ];
+  if (options.csv) {
+    saved.push(
+      await saveGeneratedFile(
+        baseName,
+        "csv",
+        toCsv(manifest.recordings, MANIFEST_COLUMNS),
+        naming
+      )
+    );
+  }
+  return saved.map((file) => file.filename);
+}
@@ -0,0 +1,91 @@
+/**
+ * features/audioExport/exportSteps.js
+ * Plaud's share → export flow, run through the workflow engine. Audio and
+ * transcript exports go through the same share popover, differing only in
+ * the option picked in the popover and in the format menu; the steps
+ * themselves are defined in features/workflow/recipes.js.
+ */
+import { runWorkflow } from "../workflow/workflowEngine.js";
+import {
+  SELECT_FILE_RECIPE,
+  SHARE_EXPORT_RECIPE,
+  SHARE_OPTION_TEXTS,
+} from "../workflow/recipes.js";
+import {
+  beginDownloadTracking,
+  stopDownloadTracking,
+  waitForDownloadVerification,
+} from "./downloadTracker.js";
+
+export { SHARE_OPTION_TEXTS };
+
+/**
+ * Step 1: Clicks the file in the list and waits for its share control in the right panel.
+ *
+ * @param {Element} fileElement - The file row element of the file.
+ * @param {string} fileTitle - The file title (for error messages).
+ * @param {Object} [timeouts={}] - Waits in milliseconds (elementWaitMs).
+ * @returns {Promise<void>}
+ * @throws {Error} - If the share control does not appear.
+ */
+export async function selectFile(fileElement, fileTitle, timeouts = {}) {
+  await runWorkflow(SELECT_FILE_RECIPE, {
+    vars: { fileTitle },
+    elements: { file: fileElement },
+    timeouts,
+  });
+}
+
+/**
+ * Steps 2-5: Opens the share popover, picks an export option and format,
+ * clicks the final export button and waits until the background has verified
+ * the resulting download.
+ *
+ * @param {string} fileTitle - The title of the selected file.
+ * @param {Object} request - What to export.
+ * @param {string[]} request.optionTexts - Share popover entries to look for, in order.
+ * @param {string} request.formatLabel - Text of the entry in the format menu.
+ * @param {string} request.extension - Extension the downloaded file is expected to have.
+ * @param {string} [request.baseName] - Filename (without extension) the background should save under.
+ * @param {string} [request.filenameTemplate] - Filename template applied by the background.
+ * @param {Object} [request.file] - Token values for the template ({ title, recordingDate, index, id }).
+ * @param {Object} [request.timeouts={}] - Waits in milliseconds (see common/settings.js):
+ *   elementWaitMs for each control, downloadStartMs and downloadCompleteMs for the download.
+ * @returns {Promise<{downloadId: number, filename: string, fileSize: number}>} The verified download.
+ * @throws {Error} - If a step's control cannot be found or the download fails.
+ */
+export async function exportFromShareMenu(fileTitle, request) {
+  const {
+    optionTexts,
+    formatLabel,
+    extension,
+    timeouts = {},
+    ...naming
+  } = request;
+
+  // The background correlates the download started by the export button with
+  // this title and reports when the file has landed on disk; nothing is
+  // deleted until then.
+  try {
+    await runWorkflow(SHARE_EXPORT_RECIPE, {
+      vars: { fileTitle, optionTexts, formatLabel },
+      timeouts,
+      hooks: {
+        beforeExport: () =>
+          beginDownloadTracking(fileTitle, extension, naming),
+      },
+    });
+  } catch (error) {
+    // A step after beforeExport failed (e.g. the export click): no download
+    // is coming, so nothing may stay tracked for this title
+    stopDownloadTracking(fileTitle);
+    throw error;
+  }
+
+  // Throws if the download fails, is interrupted or never completes
+  return waitForDownloadVerification(
+    fileTitle,
+    timeouts.downloadStartMs,
+    timeouts.downloadCompleteMs
+  );
+}
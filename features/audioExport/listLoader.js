@@ -0,0 +1,154 @@
+/**
+ * features/audioExport/listLoader.js
+ * Brings every recording of a long list into view. Plaud may render only the
+ * rows on screen (virtualized list), load more rows when scrolled to the end
+ * or behind a "Load more" button, or split the list into pages. Before a run,
+ * loadFullList walks the whole list to count the recordings; during the run,
+ * revealMoreRows moves on to the next rows once the visible ones are done.
+ */
+import { clickElement, delay } from "../../common/domUtils.js";
+import { queryTarget } from "../../common/selectorRegistry.js";
+import { getRecordingId } from "./recordingMetadata.js";
+
+/** Variables for the list's registry targets ("Load more" texts, tried in order). */
+export const LIST_VARS = {
+  loadMoreTexts: ["Load more", "Show more", "Load More", "Show More"],
+};
+// How long to wait for new rows after each scroll, click or page change
+const ROW_SETTLE_MS = 1500;
+// Rounds in a row without new rows after which the list counts as complete
+const MAX_IDLE_ROUNDS = 2;
+// Upper bound on rounds, in case the list keeps changing without ending
+const MAX_ROUNDS = 500;
+
+/**
+ * Returns the ids of the rows currently in the DOM.
+ */
+function getVisibleRowIds() {
+  const rows = queryTarget("fileRow")?.elements || [];
+  return rows.map((row) => getRecordingId(row));
+}
+
+/**
+ * Finds the element that scrolls the file list: the closest scrollable
+ * ancestor of a row, or the page itself.
+ */
+function findScrollContainer() {
+  const row = queryTarget("fileRow")?.elements[0];
+  let el = row?.parentElement;
+  for (; el && el !== document.body; el = el.parentElement) {
+    const { overflowY } = window.getComputedStyle(el);
+    if (
+      (overflowY === "auto" || overflowY === "scroll") &&
+      el.scrollHeight > el.clientHeight
+    ) {
+      return el;
+    }
+  }
+  return document.scrollingElement || document.documentElement;
+}
+
+function isScrolledToEnd(container) {
+  const bottom = container.scrollTop + container.clientHeight;
+  return bottom >= container.scrollHeight - 2;
+}
+
+/**
+ * Waits until a row that is not in `knownIds` appears.
+ *
+ * @returns {Promise<boolean>} Whether a new row appeared within `timeoutMs`.
+ */
+async function waitForNewRows(knownIds, timeoutMs = ROW_SETTLE_MS) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    await delay(250);
+    if (getVisibleRowIds().some((id) => !knownIds.has(id))) return true;
+  }
+  return false;
+}
+
+/**
+ * Takes one step through the list: clicks "Load more", scrolls down by about a
+ * screen, or goes to the next page, then gives new rows a moment to appear.
+ *
+ * @param {Set<string>} knownIds - Ids of the rows seen so far.
+ * @returns {Promise<boolean>} Whether the step got anywhere (new rows appeared or
+ *   the list scrolled); false once the end of the list is reached.
+ */
+async function advanceList(knownIds) {
+  const loadMore = queryTarget("loadMoreButton", { vars: LIST_VARS });
+  if (loadMore) {
+    await clickElement(loadMore.elements[0]);
+    return waitForNewRows(knownIds);
+  }
+
+  const container = findScrollContainer();
+  if (!isScrolledToEnd(container)) {
+    const previousTop = container.scrollTop;
+    container.scrollTop += Math.max(100, container.clientHeight * 0.8);
+    // Rows further down may already be rendered; only wait briefly for new ones
+    const foundNew = await waitForNewRows(knownIds, 500);
+    return foundNew || container.scrollTop !== previousTop;
+  }
+  // At the end: an infinite list may still be fetching the next rows
+  if (await waitForNewRows(knownIds)) return true;
+
+  const nextPage = queryTarget("nextPageButton");
+  if (nextPage) {
+    await clickElement(nextPage.elements[0]);
+    return waitForNewRows(knownIds);
+  }
+  return false;
+}
+
+/**
+ * Walks the whole list, scrolling, clicking "Load more" and paging until no
+ * new rows appear, then returns to the top (or first page) so the run starts
+ * at the beginning.
+ *
+ * @param {Object} [options={}]
+ * @param {(count: number) => void} [options.onProgress] - Called with the number
+ *   of recordings found so far after each step.
+ * @returns {Promise<Set<string>>} Ids of every recording in the list.
+ */
+export async function loadFullList({ onProgress } = {}) {
+  const ids = new Set(getVisibleRowIds());
+  let idleRounds = 0;
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    if (idleRounds >= MAX_IDLE_ROUNDS) break;
+    const advanced = await advanceList(ids);
+    getVisibleRowIds().forEach((id) => ids.add(id));
+    idleRounds = advanced ? 0 : idleRounds + 1;
+    if (onProgress) onProgress(ids.size);
+  }
+  console.log(`File list loaded: ${ids.size} recording(s)`);
+
+  // Back to the start of the list
+  const firstPage = queryTarget("firstPageButton");
+  if (firstPage) {
+    await clickElement(firstPage.elements[0]);
+    await delay(ROW_SETTLE_MS);
+  }
+  findScrollContainer().scrollTop = 0;
+  await delay(250);
+  return ids;
+}
+
+/**
+ * Brings rows the run has not seen yet into view, once every visible row has
+ * been handled (scrolling on, clicking "Load more" or going to the next page).
+ *
+ * @param {Set<string>} seenIds - Ids of the rows the run has already seen.
+ * @returns {Promise<boolean>} Whether new rows appeared.
+ */
+export async function revealMoreRows(seenIds) {
+  const knownIds = new Set([...seenIds, ...getVisibleRowIds()]);
+  let idleRounds = 0;
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    if (idleRounds >= MAX_IDLE_ROUNDS) break;
+    const advanced = await advanceList(knownIds);
+    if (getVisibleRowIds().some((id) => !knownIds.has(id))) return true;
+    idleRounds = advanced ? 0 : idleRounds + 1;
+  }
+  return false;
+}
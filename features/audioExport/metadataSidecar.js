@@ -0,0 +1,84 @@
+/**
+ * features/audioExport/metadataSidecar.js
+ * Saves what Plaud shows about a recording (title, date, duration, folder and
+ * the rest of its list row) as a `<baseName>.json` sidecar next to the audio,
+ * so downstream tools can index the archive without opening Plaud again.
+ * The metadata is read from the row before the recording is exported (and,
+ * in Export & Delete mode, removed from the list).
+ */
+import { saveGeneratedFile } from "./downloadTracker.js";
+
+/** Version of the sidecar format, for tools reading sidecars of older exports. */
+export const SIDECAR_VERSION = 1;
+
+/**
+ * Builds the sidecar for a recording.
+ *
+ * @param {Object} recording
+ * @param {string} recording.recordingId - The recording's id (see getRecordingId).
+ * @param {Object} recording.metadata - From scrapeRecordingMetadata().
+ * @param {string[]} recording.rowText - Every text the recording's row shows
+ *   (see getTextFragments), read before the row was clicked.
+ * @param {string|null} recording.folder - The Plaud folder it was exported from.
+ * @param {string|null} [recording.sourceUrl] - The recording's URL (see
+ *   getRecordingUrl), read before the row was clicked; without one, the page
+ *   the recording was exported from.
+ * @param {Object} files - What was exported: { audio, format, fileSize,
+ *   transcript?, summary? } with filenames without directory.
+ * @returns {Object} The sidecar content.
+ */
+export function buildSidecar(recording, files) {
+  const { metadata } = recording;
+  return {
+    sidecarVersion: SIDECAR_VERSION,
+    recordingId: recording.recordingId,
+    plaudId: metadata.id,
+    title: metadata.title,
+    recordingDate: metadata.recordingDate,
+    recordingDateText: metadata.recordingDateText,
+    durationSeconds: metadata.durationSeconds,
+    duration: metadata.duration,
+    plaudFolder: recording.folder,
+    rowText: recording.rowText,
+    sourceUrl: recording.sourceUrl || window.location.href,
+    audioFile: files.audio,
+    audioFormat: files.format,
+    audioSize: files.fileSize ?? null,
+    transcriptFile: files.transcript || null,
+    summaryFile: files.summary || null,
+    exportedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Saves a recording's sidecar as `<baseName>.json` through the background's
+ * download routing, next to its audio.
+ *
+ * @param {Object} recording - See buildSidecar.
+ * @param {Object} files - See buildSidecar; filenames may include directories.
+ * @param {string} baseName - Filename without extension shared with the audio.
+ * @param {Object} [naming={}] - Filename template and token values (see saveGeneratedFile).
+ * @returns {Promise<{downloadId: number, filename: string}>} The saved sidecar.
+ * @throws {Error} - If the sidecar could not be saved.
+ */
+export async function saveMetadataSidecar(
+  recording,
+  files,
+  baseName,
+  naming = {}
+) {
+  const nameOnly = (filename) =>
+    filename ? String(filename).split(/[\\/]/).pop() : null;
+  const sidecar = buildSidecar(recording, {
+    ...files,
+    audio: nameOnly(files.audio),
+    transcript: nameOnly(files.transcript),
+    summary: nameOnly(files.summary),
+  });
+  return saveGeneratedFile(
+    baseName,
+    "json",
+    JSON.stringify(sidecar, null, 2),
+    naming
+  );
+}
@@ -0,0 +1,177 @@
+/**
+ * features/audioExport/pageCheck.js
+ * Read-only health check of the live Plaud page. Locates every control of the
+ * selector registry (file list, title, share control, share menu, export
+ * option, format option, export button, Delete menu item) with the same
+ * locators and recipes as runExportAll, using the first file in the list.
+ * The export button and the Delete menu item are located but never clicked,
+ * and menus opened along the way are dismissed with resetDomState. Optional
+ * targets (list paging controls) only pass or note that they are absent.
+ */
+import {
+  AUDIO_FORMATS,
+  normalizeExportOptions,
+} from "../../common/exportOptions.js";
+import {
+  SELECTOR_TARGETS,
+  describeStrategy,
+  loadSelectorOverrides,
+  queryTarget,
+} from "../../common/selectorRegistry.js";
+import { getTimeouts, loadSettings } from "../../common/settings.js";
+import { runWorkflow } from "../workflow/workflowEngine.js";
+import {
+  DELETE_RECIPE,
+  SELECT_FILE_RECIPE,
+  SHARE_EXPORT_RECIPE,
+  SHARE_OPTION_TEXTS,
+} from "../workflow/recipes.js";
+import { resetDomState } from "./deleteHelpers.js";
+import { LIST_VARS } from "./listLoader.js";
+
+const PREVIEW_TEXT_LENGTH = 40;
+
+/**
+ * Describes an element briefly for the report, e.g. 'li.menu-item "MP3"'.
+ */
+function describeElement(element) {
+  const classes = Array.from(element.classList)
+    .filter((c) => !c.startsWith("element-selector"))
+    .slice(0, 2);
+  const text = (element.textContent || "").trim().replace(/\s+/g, " ");
+  return [
+    element.tagName.toLowerCase(),
+    element.id ? `#${element.id}` : "",
+    ...classes.map((c) => `.${c}`),
+    text
+      ? ` "${text.slice(0, PREVIEW_TEXT_LENGTH)}${
+          text.length > PREVIEW_TEXT_LENGTH ? "..." : ""
+        }"`
+      : "",
+  ].join("");
+}
+
+/**
+ * Checks that every control the export needs can be located on the current page.
+ *
+ * @param {Object} [options={}] - Export options (only audioFormat is used, to
+ *   look for the format option the export would pick).
+ * @returns {Promise<{checkedAt: number, fileTitle: string|null, ok: boolean,
+ *   checks: Array<{target: string, label: string, ok: boolean, skipped: boolean,
+ *   strategy: string|null, source: string|null, preview: string|null, error: string|null}>}>}
+ *   One check per selector target, in registry order.
+ */
+export async function checkPage(options = {}) {
+  const { audioFormat } = normalizeExportOptions(options);
+  const timeouts = getTimeouts(await loadSettings());
+  await loadSelectorOverrides();
+
+  const results = {};
+  const pass = (targetId, { element, strategy }, preview) => {
+    results[targetId] = {
+      ok: true,
+      strategy: describeStrategy(strategy),
+      source: strategy.source,
+      preview: preview || describeElement(element),
+      error: null,
+    };
+  };
+  const fail = (targetId, error) => {
+    results[targetId] = { ok: false, error };
+  };
+  const onLocate = (step, match) => {
+    if (typeof step.locate === "string") pass(step.locate, match);
+  };
+  // The failing step of a recipe is named after the target it could not locate
+  const failStep = (error) => {
+    if (SELECTOR_TARGETS[error.step]) fail(error.step, error.message);
+    console.warn(`Page check: ${error.step} failed:`, error.message);
+  };
+
+  let fileTitle = null;
+  const rows = queryTarget("fileRow");
+  if (!rows) {
+    fail("fileRow", "No recordings found in the file list");
+  } else {
+    const [fileElement] = rows.elements;
+    pass(
+      "fileRow",
+      { element: fileElement, strategy: rows.strategy },
+      `${rows.elements.length} row(s); first: ${describeElement(fileElement)}`
+    );
+    const title = queryTarget("fileTitle", {
+      elements: { fileRow: fileElement },
+    });
+    if (title) {
+      const [titleElement] = title.elements;
+      pass("fileTitle", { element: titleElement, strategy: title.strategy });
+      fileTitle = titleElement.textContent.trim();
+    } else {
+      fail("fileTitle", "No title found in the first row");
+    }
+
+    const context = {
+      vars: {
+        fileTitle: fileTitle || "(Untitled)",
+        optionTexts: SHARE_OPTION_TEXTS.audio,
+        formatLabel: AUDIO_FORMATS[audioFormat].label,
+      },
+      elements: { file: fileElement },
+      timeouts,
+    };
+    try {
+      await runWorkflow(SELECT_FILE_RECIPE, context, { onLocate });
+      // Picking the format only changes the dialog; the export button is never clicked
+      await runWorkflow(SHARE_EXPORT_RECIPE, context, {
+        stopAt: "exportButton",
+        onLocate,
+      });
+    } catch (error) {
+      failStep(error);
+    }
+    await resetDomState().catch(() => {});
+    try {
+      await runWorkflow(DELETE_RECIPE, context, {
+        stopAt: "deleteMenuItem",
+        onLocate,
+      });
+    } catch (error) {
+      failStep(error);
+    }
+    await resetDomState().catch(() => {});
+  }
+
+  // Paging controls only exist on long lists, so their absence is not a failure
+  for (const [targetId, target] of Object.entries(SELECTOR_TARGETS)) {
+    if (!target.optional) continue;
+    const match = queryTarget(targetId, { vars: LIST_VARS });
+    if (match) {
+      pass(targetId, { element: match.elements[0], strategy: match.strategy });
+    } else {
+      results[targetId] = {
+        ok: true,
+        preview: "Not on this page (only used for long lists)",
+        error: null,
+      };
+    }
+  }
+
+  const checks = Object.entries(SELECTOR_TARGETS).map(([targetId, target]) => ({
+    target: targetId,
+    label: target.label,
+    skipped: !results[targetId],
+    strategy: null,
+    source: null,
+    preview: null,
+    ...(results[targetId] || {
+      ok: false,
+      error: "Not checked: an earlier step failed",
+    }),
+  }));
+  return {
+    checkedAt: Date.now(),
+    fileTitle,
+    ok: checks.every((check) => check.ok),
+    checks,
+  };
+}
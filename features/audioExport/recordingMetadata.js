@@ -0,0 +1,262 @@
+/**
+ * features/audioExport/recordingMetadata.js
+ * Reads what the recording list shows about each recording (title, date,
+ * duration). Plaud renders these as plain text in the file row, so the
+ * row's text fragments are matched against date and duration patterns.
+ */
+import { queryTarget } from "../../common/selectorRegistry.js";
+
+// Selected folder/category in Plaud's sidebar, tried in order
+const activeFolderSelectors = [
+  '[class*="folder"][class*="active"]',
+  '[class*="folder"] [class*="active"]',
+  '[class*="category"][class*="active"]',
+  '[role="tree"] [aria-selected="true"]',
+  'nav [aria-current="page"]',
+];
+// Attributes that may carry Plaud's id for a recording, on the row or its list item
+const recordingIdAttributes = ["data-id", "data-file-id", "data-recording-id"];
+
+// "2024-05-01 10:23(:45)", "2024/05/01", "2024.05.01"
+const FULL_DATE_PATTERN =
+  /(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[\sT]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/;
+// "05-01 10:23" (current year implied)
+const SHORT_DATE_PATTERN = /\b(\d{1,2})[-/](\d{1,2})\s+(\d{1,2}):(\d{2})\b/;
+// "01:02:03" or "32:10"
+const CLOCK_DURATION_PATTERN = /^(?:(\d{1,3}):)?(\d{1,2}):(\d{2})$/;
+// "1h 2m 3s", "32m 10s", "45s", "12 min"
+const UNIT_DURATION_PATTERN =
+  /^(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?\s*(?:(\d+)\s*s(?:ec(?:onds?|s)?)?)?$/i;
+
+/**
+ * Parses a recording date as shown in the list.
+ *
+ * @param {string} text - Text that may contain a date.
+ * @returns {Date|null} The parsed date (local time), or null.
+ */
+export function parseRecordingDate(text) {
+  const value = String(text || "");
+  let match = value.match(FULL_DATE_PATTERN);
+  if (match) {
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  match = value.match(SHORT_DATE_PATTERN);
+  if (match) {
+    const [, month, day, hours, minutes] = match;
+    const date = new Date(
+      new Date().getFullYear(),
+      month - 1,
+      day,
+      hours,
+      minutes
+    );
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+/**
+ * Parses a duration as shown in the list.
+ *
+ * @param {string} text - "01:02:03", "32:10", "1h 2m 3s", "12 min", ...
+ * @returns {number|null} The duration in seconds, or null if the text is not a duration.
+ */
+export function parseDuration(text) {
+  const value = String(text || "").trim();
+  if (!value) return null;
+
+  let match = value.match(CLOCK_DURATION_PATTERN);
+  if (match) {
+    const [, hours = 0, minutes, seconds] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+  match = value.match(UNIT_DURATION_PATTERN);
+  if (match && (match[1] || match[2] || match[3])) {
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+  return null;
+}
+
+/**
+ * Formats a duration in seconds as "hh:mm:ss".
+ *
+ * @param {number|null} totalSeconds - The duration in seconds.
+ * @returns {string|null} The formatted duration, or null.
+ */
+export function formatDuration(totalSeconds) {
+  if (typeof totalSeconds !== "number" || isNaN(totalSeconds)) return null;
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  return [hours, minutes, seconds]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+}
+
+/**
+ * Returns the text of each leaf element in a row, in document order.
+ *
+ * @param {Element} element - The row element.
+ * @returns {string[]} Non-empty text fragments.
+ */
+export function getTextFragments(element) {
+  return Array.from(element.querySelectorAll("*"))
+    .filter((el) => el.children.length === 0)
+    .map((el) => (el.textContent || "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Returns the name of the Plaud folder or category currently shown in the list.
+ *
+ * @returns {string|null} The folder name, or null if no folder is selected or it cannot be found.
+ */
+export function getCurrentFolderName() {
+  for (const selector of activeFolderSelectors) {
+    const element = document.querySelector(selector);
+    // Folder entries may contain counters or icons; keep the first line of text
+    const name = (element?.innerText || element?.textContent || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .find(Boolean);
+    if (name) return name.slice(0, 100);
+  }
+  return null;
+}
+
+/**
+ * Finds the title element of a file row (the registry's "fileTitle" target).
+ *
+ * @param {Element} fileElement - The file row element of the recording.
+ * @returns {Element|null} The title element, or null.
+ */
+export function getTitleElement(fileElement) {
+  const match = queryTarget("fileTitle", {
+    elements: { fileRow: fileElement },
+  });
+  return match ? match.elements[0] : null;
+}
+
+/**
+ * Reads Plaud's id for a recording from the row's data attributes, if present.
+ *
+ * @param {Element} fileElement - The file row element of the recording.
+ * @returns {string|null} The id, or null.
+ */
+function readRecordingId(fileElement) {
+  const candidates = [fileElement, fileElement.closest("li")].filter(Boolean);
+  for (const element of candidates) {
+    for (const attribute of recordingIdAttributes) {
+      const value = element.getAttribute(attribute);
+      if (value) return value.trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the route a row links to (e.g. "/file/abc123"), if the row is or
+ * contains a link. Links back to the list itself are ignored.
+ */
+function readRecordingLink(fileElement) {
+  const link =
+    fileElement.closest("a[href]") || fileElement.querySelector("a[href]");
+  if (!link) return null;
+  try {
+    const url = new URL(link.getAttribute("href"), window.location.href);
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    const route = `${url.pathname}${url.hash}`;
+    const current = `${window.location.pathname}${window.location.hash}`;
+    return route !== "/" && route !== current ? route : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the URL of a recording's own page, from the route its row links to.
+ * Must be read before the row is clicked, which may navigate to that route.
+ *
+ * @param {Element} fileElement - The file row element of the recording.
+ * @returns {string|null} The absolute URL, or null if the row links nowhere.
+ */
+export function getRecordingUrl(fileElement) {
+  const route = readRecordingLink(fileElement);
+  return route ? new URL(route, window.location.origin).href : null;
+}
+
+/**
+ * Derives a stable identifier for a recording from its list row, used to tell
+ * recordings apart (dedup within a run, the export ledger, progress reports).
+ * In order of preference: Plaud's id from a data attribute, the route the row
+ * links to, or a composite of title, recording date and duration. Only the
+ * composite changes when a recording is renamed, and only recordings with the
+ * same title, date and duration share it.
+ *
+ * @param {Element} fileElement - The file row element of the recording.
+ * @param {Object} [metadata] - The row's metadata, if already scraped.
+ * @returns {string} E.g. "id:abc123", "link:/file/abc123" or
+ *   "row:Meeting notes|2024-05-01 10:23|1930".
+ */
+export function getRecordingId(fileElement, metadata) {
+  const id = readRecordingId(fileElement);
+  if (id) return `id:${id}`;
+  const route = readRecordingLink(fileElement);
+  if (route) return `link:${route}`;
+  const { title, recordingDateText, durationSeconds } =
+    metadata || scrapeRecordingMetadata(fileElement);
+  return `row:${title}|${recordingDateText || ""}|${durationSeconds ?? ""}`;
+}
+
+/**
+ * Scrapes the metadata the recording list shows for a file.
+ *
+ * @param {Element} fileElement - The file row element of the recording.
+ * @returns {{title: string, id: string|null, recordingDate: string|null,
+ *   recordingDateText: string|null, durationSeconds: number|null, duration: string|null}}
+ *   The recording's metadata; recordingDate is an ISO string.
+ */
+export function scrapeRecordingMetadata(fileElement) {
+  const titleEl = getTitleElement(fileElement);
+  const title = titleEl ? titleEl.textContent.trim() : "";
+
+  let recordingDate = null;
+  let recordingDateText = null;
+  let durationSeconds = null;
+  for (const fragment of getTextFragments(fileElement)) {
+    // The title is often a date itself (Plaud's default names); never use it
+    if (titleEl && titleEl.textContent.trim() === fragment) continue;
+    if (!recordingDate) {
+      const date = parseRecordingDate(fragment);
+      if (date) {
+        recordingDate = date.toISOString();
+        recordingDateText = fragment;
+        continue;
+      }
+    }
+    if (durationSeconds === null) {
+      durationSeconds = parseDuration(fragment);
+    }
+  }
+
+  // Fall back to a date embedded in the title
+  if (!recordingDate) {
+    const date = parseRecordingDate(title);
+    if (date) {
+      recordingDate = date.toISOString();
+      recordingDateText = title;
+    }
+  }
+
+  return {
+    title,
+    id: readRecordingId(fileElement),
+    recordingDate,
+    recordingDateText,
+    durationSeconds,
+    duration: formatDuration(durationSeconds),
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * features/audioExport/runHistory.js
+ * History (chrome.storage.local) of the last export runs, for the popup's
+ * History view. Unlike the ledger, which keeps the latest state per recording,
+ * each run keeps what happened to every file it handled.
+ *
+ * Each run has the shape:
+ * { id, startedAt, finishedAt, status, mode, audioFormat, background,
+ *   counts: { processed, errored, skipped, total }, files: [...] }
+ * and each file:
+ * { recordingId, title, recordingDate, durationSeconds, outcome, error,
+ *   filename, format, fileSize, deleted, finishedAt }
+ *
+ * A run is saved after every file, so a run cut short by a page reload still
+ * has its files; a resumed run continues the same entry.
+ */
+import { loadData, saveData, clearData } from "../../common/storageUtils.js";
+
+const RUN_HISTORY_KEY = "exportRunHistory";
+// Older runs are dropped so the history stays well within the storage quota
+const MAX_RUNS = 20;
+
+/** Possible values of a run's `status`. */
+export const RUN_STATUSES = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  STOPPED: "stopped",
+  ABORTED: "aborted",
+};
+
+/** Possible values of a file's `outcome` in a run. */
+export const RUN_FILE_OUTCOMES = {
+  EXPORTED: "exported",
+  FAILED: "failed",
+};
+
+/**
+ * Loads the history.
+ *
+ * @returns {Promise<Object[]>} Runs, newest first.
+ */
+export async function loadRunHistory() {
+  return loadData(RUN_HISTORY_KEY, []);
+}
+
+/**
+ * Starts the history entry of a run, or picks up the entry of the run it
+ * resumes (runs are identified by their start time).
+ *
+ * @param {Object} fields - { startedAt, mode, audioFormat, background }.
+ * @returns {Promise<Object>} The run, already saved.
+ */
+export async function startRun(fields) {
+  const id = `run-${fields.startedAt}`;
+  const history = await loadRunHistory();
+  const resumed = history.find((run) => run.id === id);
+  const run = {
+    finishedAt: null,
+    counts: { processed: 0, errored: 0, skipped: 0, total: 0 },
+    files: [],
+    ...resumed,
+    ...fields,
+    id,
+    status: RUN_STATUSES.RUNNING,
+  };
+  await saveRun(run);
+  return run;
+}
+
+/**
+ * Saves a run, replacing its earlier version.
+ * The history is re-read before writing so runs in other tabs are kept.
+ *
+ * @param {Object} run - The run.
+ * @returns {Promise<void>}
+ */
+export async function saveRun(run) {
+  const history = (await loadRunHistory()).filter(
+    (entry) => entry.id !== run.id
+  );
+  history.unshift(run);
+  history.sort((a, b) => b.startedAt - a.startedAt);
+  await saveData(RUN_HISTORY_KEY, history.slice(0, MAX_RUNS));
+}
+
+/**
+ * Removes every run from the history.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearRunHistory() {
+  await clearData(RUN_HISTORY_KEY);
+}
@@ -0,0 +1,196 @@
+/**
+ * features/audioExport/summaryExport.js
+ * Exports the AI summary shown in Plaud's right panel as a Markdown note with
+ * YAML front matter, saved next to the recording's audio.
+ */
+import { clickElement, waitForCondition } from "../../common/domUtils.js";
+import { buildFrontMatter, htmlToMarkdown } from "../../common/markdownUtils.js";
+import { saveGeneratedFile } from "./downloadTracker.js";
+
+// --- Selectors for the summary panel (adjust these based on Plaud.ai's actual UI) ---
+const rightPanelSelector = "#rightBox";
+const summaryTabTexts = ["Summary", "AI Summary", "Notes"]; // Tabs that switch the panel to the summary
+const summaryContentSelectors = [
+  '[class*="summary"] [class*="markdown"]',
+  '[class*="summary-content"]',
+]; // Tried in order within the summary tab's panel, or the right panel without one
+const panelContentSelectors = ['[class*="markdown"]']; // Only within the summary tab's own panel
+
+/**
+ * Finds a leaf element whose whole text equals one of the given texts.
+ *
+ * @param {Element} parent - Element to search within.
+ * @param {string[]} texts - Accepted texts.
+ * @returns {Element|null} The matching element, or null.
+ */
+function findTabByText(parent, texts) {
+  for (const el of parent.querySelectorAll("*")) {
+    if (el.children.length > 0) continue;
+    if (texts.includes((el.textContent || "").trim())) return el;
+  }
+  return null;
+}
+
+/**
+ * Finds the panel the summary tab shows: the one its `aria-controls` names,
+ * or else the visible tab panel of the right panel.
+ *
+ * @param {Element} rightPanel - The right panel.
+ * @param {Element|null} summaryTab - The summary tab, if there is one.
+ * @returns {Element|null} The summary tab's panel, or null.
+ */
+function findSummaryPanel(rightPanel, summaryTab) {
+  const tab = summaryTab?.closest('[role="tab"]');
+  const panelId = tab?.getAttribute("aria-controls");
+  const panel = panelId ? document.getElementById(panelId) : null;
+  if (panel) return panel;
+  return summaryTab
+    ? rightPanel.querySelector('[role="tabpanel"]:not([hidden])')
+    : null;
+}
+
+/**
+ * Finds the summary content in the right panel. Generic Markdown blocks are
+ * only accepted inside the summary tab's panel, as the transcript renders
+ * them too.
+ *
+ * @param {Element} rightPanel - The right panel.
+ * @returns {Element|null} The content element with text, or null.
+ */
+function findSummaryContent(rightPanel) {
+  const summaryPanel = findSummaryPanel(
+    rightPanel,
+    findTabByText(rightPanel, summaryTabTexts)
+  );
+  const selectors = summaryPanel
+    ? [...summaryContentSelectors, ...panelContentSelectors]
+    : summaryContentSelectors;
+  for (const selector of selectors) {
+    const candidate = (summaryPanel || rightPanel).querySelector(selector);
+    if (candidate && (candidate.textContent || "").trim()) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Reads the text of the summary the right panel currently shows, without
+ * switching tabs. Read before a recording is selected, it tells the previous
+ * recording's summary apart from the new one (see scrapeSummary).
+ *
+ * @returns {string|null} The summary text, or null if none is shown.
+ */
+export function readSummaryText() {
+  const rightPanel = document.querySelector(rightPanelSelector);
+  const content = rightPanel ? findSummaryContent(rightPanel) : null;
+  return content ? content.textContent.trim() : null;
+}
+
+/**
+ * Switches the right panel to the summary of the selected recording and
+ * converts it to Markdown.
+ *
+ * @param {number} [timeout=10000] - Max wait for the summary content to render
+ *   (runExportAll passes the elementWaitMs setting).
+ * @param {string|null} [staleText=null] - Summary text shown before the
+ *   recording was selected (see readSummaryText); content still showing it
+ *   belongs to another recording and is not accepted.
+ * @returns {Promise<string|null>} The summary as Markdown, or null if the recording has none.
+ */
+export async function scrapeSummary(timeout = 10000, staleText = null) {
+  const rightPanel = document.querySelector(rightPanelSelector);
+  if (!rightPanel) {
+    return null; // Never search the whole page, where the transcript may render
+  }
+
+  const summaryTab = findTabByText(rightPanel, summaryTabTexts);
+  if (summaryTab) {
+    await clickElement(summaryTab);
+  }
+
+  let content = null;
+  try {
+    await waitForCondition(
+      () => {
+        const candidate = findSummaryContent(rightPanel);
+        if (!candidate || candidate.textContent.trim() === staleText) {
+          return false;
+        }
+        content = candidate;
+        return true;
+      },
+      timeout,
+      "summary content"
+    );
+  } catch (e) {
+    return null; // No summary generated for this recording
+  }
+
+  return htmlToMarkdown(content) || null;
+}
+
+/**
+ * Builds the Markdown note for a recording.
+ *
+ * @param {Object} metadata - From scrapeRecordingMetadata().
+ * @param {string} summary - The summary as Markdown.
+ * @param {string} audioFilename - Filename (without directory) of the exported audio.
+ * @param {string|null} [sourceUrl=null] - The recording's URL (see
+ *   getRecordingUrl); without one, the page the recording was exported from.
+ * @returns {string} The note, starting with YAML front matter.
+ */
+export function buildSummaryMarkdown(
+  metadata,
+  summary,
+  audioFilename,
+  sourceUrl = null
+) {
+  const frontMatter = buildFrontMatter({
+    title: metadata.title,
+    recording_date: metadata.recordingDate,
+    duration: metadata.duration,
+    source_url: sourceUrl || window.location.href,
+    audio_file: audioFilename,
+    exported_at: new Date().toISOString(),
+  });
+  return `${frontMatter}\n\n# ${metadata.title}\n\n${summary}\n`;
+}
+
+/**
+ * Scrapes the selected recording's summary and saves it as `<baseName>.md`.
+ *
+ * @param {Object} recording
+ * @param {Object} recording.metadata - From scrapeRecordingMetadata().
+ * @param {string|null} recording.sourceUrl - The recording's URL (see getRecordingUrl).
+ * @param {string|null} recording.staleSummary - Summary text shown before the
+ *   recording was selected (see readSummaryText).
+ * @param {string} audioFilename - Absolute path of the verified audio download.
+ * @param {string} baseName - Filename without extension shared with the audio.
+ * @param {Object} [naming={}] - Filename template and token values (see saveGeneratedFile).
+ * @param {Object} [timeouts={}] - Waits in milliseconds (elementWaitMs for the summary).
+ * @returns {Promise<{downloadId: number, filename: string}|null>} The saved note,
+ *   or null if the recording has no summary.
+ * @throws {Error} - If the note could not be saved.
+ */
+export async function exportSummary(
+  recording,
+  audioFilename,
+  baseName,
+  naming = {},
+  timeouts = {}
+) {
+  const { metadata, sourceUrl, staleSummary } = recording;
+  const summary = await scrapeSummary(timeouts.elementWaitMs, staleSummary);
+  if (!summary) {
+    console.warn(`No summary found for "${metadata.title}"; skipping note.`);
+    return null;
+  }
+
+  const audioName = String(audioFilename || "").split(/[\\/]/).pop();
+  const markdown = buildSummaryMarkdown(
+    metadata,
+    summary,
+    audioName,
+    sourceUrl
+  );
+  return saveGeneratedFile(baseName, "md", markdown, naming);
+}
@@ -0,0 +1,117 @@
+/**
+ * features/workflow/recipes.js
+ * The Plaud UI flows the exporter automates, as data for runWorkflow (see
+ * workflowEngine.js for the step format). Steps locate elements by target id;
+ * the strategies for each target live in common/selectorRegistry.js, and a
+ * step is named after its target so later `within` strategies can refer to it.
+ *
+ * Variables supplied by the callers:
+ * - fileTitle: title of the recording being handled
+ * - optionTexts: share popover entries to look for (see SHARE_OPTION_TEXTS)
+ * - formatLabel: text of the entry in the format menu (e.g. "MP3")
+ */
+
+/** Share popover entries, tried in order, for each kind of export. */
+export const SHARE_OPTION_TEXTS = {
+  audio: ["Export Audio"],
+  transcript: ["Export Transcript", "Export Transcription", "Export Text"],
+};
+
+/**
+ * Step 1: Click the file in the list and wait for its share control in the right panel.
+ * Expects elements.file.
+ */
+export const SELECT_FILE_RECIPE = {
+  name: "selectFile",
+  steps: [
+    { name: "file", action: "click", target: "file" },
+    {
+      name: "shareIcon",
+      action: "find",
+      locate: "shareIcon",
+      timeout: "elementWaitMs",
+      error: "Export step failed: unable to locate share control",
+    },
+  ],
+};
+
+/**
+ * Steps 2-5: Open the share popover, pick the export option and format, and
+ * click the final export button. The "beforeExport" hook runs just before the
+ * click (the export flow starts download tracking there).
+ */
+export const SHARE_EXPORT_RECIPE = {
+  name: "shareExport",
+  steps: [
+    // 2. Open the share popover
+    {
+      name: "shareIcon",
+      action: "click",
+      locate: "shareIcon",
+      timeout: "elementWaitMs",
+      error: "Export step failed: unable to locate share control",
+    },
+    {
+      name: "sharePopover",
+      action: "find",
+      locate: "sharePopover",
+      timeout: "elementWaitMs",
+      error: "Export step failed: share menu did not open",
+    },
+    // 3. Pick the export option; the format menu opens
+    {
+      name: "exportOption",
+      action: "click",
+      locate: "exportOption",
+      timeout: "elementWaitMs",
+      error: "Export step failed: '{optionTexts}' option not available",
+    },
+    // 4. Pick the format
+    {
+      name: "formatOption",
+      action: "click",
+      locate: "formatOption",
+      timeout: "elementWaitMs",
+      error: "Export step failed: format selection unavailable",
+    },
+    // 5. Click the final export button
+    {
+      name: "exportButton",
+      action: "find",
+      locate: "exportButton",
+      timeout: "elementWaitMs",
+      error: "Export step failed: export action unavailable",
+    },
+    { name: "trackDownload", action: "hook", hook: "beforeExport" },
+    { name: "export", action: "click", target: "exportButton" },
+  ],
+};
+
+/**
+ * Delete a file from the list through its context menu. Expects elements.file.
+ */
+export const DELETE_RECIPE = {
+  name: "delete",
+  vars: {
+    deleteTexts: ["Delete", "Delete file", "Delete item"],
+  },
+  steps: [
+    { name: "contextMenu", action: "rightClick", target: "file", retries: 3 },
+    {
+      name: "deleteMenuItem",
+      action: "click",
+      locate: "deleteMenuItem",
+      timeout: "deleteMenuWaitMs",
+      error: "Could not find 'Delete' menu item for \"{fileTitle}\"",
+    },
+    {
+      name: "removal",
+      action: "waitForRemoval",
+      target: "file",
+      countTarget: "fileRow",
+      forceRemove: true,
+      timeout: "fileListWaitMs",
+    },
+    { name: "reset", action: "reset" },
+  ],
+};
@@ -0,0 +1,214 @@
+/**
+ * features/workflow/workflowEngine.js
+ * Runs UI workflows defined as data (see recipes.js). A recipe is a list of
+ * steps; each step locates an element with ordered fallback strategies and
+ * acts on it, so a change in Plaud's UI can be fixed by editing a recipe.
+ *
+ * Step shape:
+ * {
+ *   name: "shareIcon",            // Identifies the step in logs and errors; the element it
+ *                                 // locates is stored under this name for later steps
+ *   action: "click",              // find | click | rightClick | waitForRemoval | reset | hook
+ *   target: "file",               // Use an element stored earlier instead of locating one
+ *   locate: "shareIcon",          // Registry target id, or [strategy, ...]; the strategies
+ *                                 // are tried in order on every poll until one matches
+ *   timeout: "elementWaitMs",     // Milliseconds, or the name of a value in context.timeouts
+ *   optional: false,              // Log and continue instead of failing the workflow
+ *   error: "Message for {fileTitle}", // Thrown when the step fails; {var} is replaced
+ * }
+ *
+ * `locate` is either a target id from the selector registry
+ * (common/selectorRegistry.js), whose strategies and user overrides are tried
+ * in order, or an inline list of strategies in the registry's format. Inline
+ * strategies can use `within` with the name of an earlier step.
+ */
+import {
+  clickElement,
+  delay,
+  rightClickWithRetry,
+  waitForCondition,
+} from "../../common/domUtils.js";
+import {
+  getTargetStrategies,
+  interpolate,
+  loadSelectorOverrides,
+  queryStrategy,
+  queryTarget,
+  recordSelectorMatch,
+} from "../../common/selectorRegistry.js";
+import { resetDomState } from "../audioExport/deleteHelpers.js";
+
+const POLL_INTERVAL_MS = 250;
+
+/**
+ * Polls the strategies until one matches or the timeout passes.
+ *
+ * @param {Object[]} strategies - Locate strategies, in order of preference.
+ * @param {Object} options
+ * @param {number} options.timeout - Max wait in milliseconds.
+ * @param {Object} [options.vars={}] - Variables for text placeholders.
+ * @param {Object<string, Element>} [options.elements={}] - Elements stored by earlier steps.
+ * @returns {Promise<{element: Element, strategy: Object}|null>} The first match, or null on timeout.
+ */
+export async function locateElement(
+  strategies,
+  { timeout, vars = {}, elements = {} }
+) {
+  const startedAt = Date.now();
+  while (true) {
+    const waited = Date.now() - startedAt;
+    for (const strategy of strategies) {
+      if ((strategy.afterMs || 0) > waited) continue;
+      const [element] = queryStrategy(strategy, vars, elements);
+      if (element) return { element, strategy };
+    }
+    // Keep polling until the last deferred strategy has had a chance too
+    const lastStart = Math.max(0, ...strategies.map((s) => s.afterMs || 0));
+    if (waited >= timeout && waited >= lastStart) return null;
+    await delay(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Resolves a step's timeout to milliseconds.
+ */
+function resolveTimeout(step, timeouts) {
+  if (typeof step.timeout === "number") return step.timeout;
+  if (
+    typeof step.timeout === "string" &&
+    timeouts[step.timeout] !== undefined
+  ) {
+    return timeouts[step.timeout];
+  }
+  return timeouts.elementWaitMs ?? 10000;
+}
+
+/**
+ * Counts the elements of a registry target currently in the DOM.
+ */
+function countTarget(targetId) {
+  return queryTarget(targetId)?.elements.length ?? 0;
+}
+
+/**
+ * Waits for an element to leave the DOM, or for a list (`countTarget`) to shrink.
+ * With `forceRemove`, an element still present after the timeout is removed
+ * (its closest <li> if any) instead of failing the step.
+ */
+async function waitForRemoval(step, element, timeoutMs) {
+  const initialCount = step.countTarget ? countTarget(step.countTarget) : null;
+  try {
+    await waitForCondition(
+      () =>
+        !document.body.contains(element) ||
+        (initialCount !== null &&
+          countTarget(step.countTarget) < initialCount),
+      timeoutMs,
+      `${step.name}: element removal`
+    );
+  } catch (e) {
+    if (!step.forceRemove) throw e;
+    if (document.body.contains(element)) {
+      console.warn(`${step.name}: element still present, removing it manually`);
+      (element.closest("li") || element).remove();
+    }
+  }
+}
+
+/**
+ * Runs a recipe step by step.
+ *
+ * @param {Object} recipe - { name, vars?, steps }; `vars` holds defaults for placeholders.
+ * @param {Object} [context={}] - What the run works with.
+ * @param {Object} [context.vars={}] - Values for {name} placeholders (override recipe.vars).
+ * @param {Object<string, Element>} [context.elements={}] - Known elements (e.g. { file }).
+ * @param {Object<string, number>} [context.timeouts={}] - Named timeouts in milliseconds.
+ * @param {Object<string, Function>} [context.hooks={}] - Callbacks for "hook" steps; each
+ *   receives the elements located so far.
+ * @param {Object} [options={}]
+ * @param {string} [options.stopAt] - Only locate this step's element, without acting on it,
+ *   and end the workflow there (used by the dry run).
+ * @param {Function} [options.onLocate] - Called with each step and the
+ *   { element, strategy } it located (used by the page check).
+ * @returns {Promise<Object<string, Element>>} Elements located by the steps, keyed by step name.
+ * @throws {Error} - With `step` set to the failing step's name.
+ */
+export async function runWorkflow(recipe, context = {}, options = {}) {
+  const vars = { ...(recipe.vars || {}), ...(context.vars || {}) };
+  const elements = { ...(context.elements || {}) };
+  const timeouts = context.timeouts || {};
+  const hooks = context.hooks || {};
+  // Pick up overrides the user has saved since the last run
+  await loadSelectorOverrides();
+
+  for (const step of recipe.steps) {
+    const timeoutMs = resolveTimeout(step, timeouts);
+    const stopHere = options.stopAt === step.name;
+    try {
+      console.log(`Workflow "${recipe.name}": ${step.name} (${step.action})`);
+      let element = null;
+      if (step.target) {
+        element = elements[step.target];
+        if (!element) throw new Error(`no element stored as "${step.target}"`);
+      } else if (step.locate) {
+        const targetId = typeof step.locate === "string" ? step.locate : null;
+        const match = await locateElement(
+          targetId ? getTargetStrategies(targetId) : step.locate,
+          { timeout: timeoutMs, vars, elements }
+        );
+        if (!match) throw new Error(`not found within ${timeoutMs} ms`);
+        if (targetId) recordSelectorMatch(targetId, match.strategy);
+        if (options.onLocate) options.onLocate(step, match);
+        element = match.element;
+      }
+      if (element) elements[step.name] = element;
+      if (stopHere) break;
+
+      switch (step.action) {
+        case "find":
+          break;
+        case "click":
+          await clickElement(element);
+          break;
+        case "rightClick":
+          await rightClickWithRetry(element, step.retries || 3);
+          break;
+        case "waitForRemoval":
+          await waitForRemoval(step, element, timeoutMs);
+          break;
+        case "reset":
+          await resetDomState();
+          break;
+        case "hook":
+          if (!hooks[step.hook]) throw new Error(`no "${step.hook}" hook`);
+          await hooks[step.hook](elements);
+          break;
+        default:
+          throw new Error(`unknown action "${step.action}"`);
+      }
+    } catch (e) {
+      if (step.optional) {
+        console.warn(
+          `Workflow "${recipe.name}": optional step ${step.name} skipped:`,
+          e.message
+        );
+        continue;
+      }
+      console.warn(
+        `Workflow "${recipe.name}": step ${step.name} failed:`,
+        e.message
+      );
+      // A hook's own error (e.g. from download tracking) is already descriptive
+      const message = step.error
+        ? interpolate(step.error, vars)
+        : step.action === "hook"
+        ? e.message
+        : `${step.name}: ${e.message}`;
+      const error = new Error(message);
+      error.step = step.name;
+      error.cause = e;
+      throw error;
+    }
+  }
+  return elements;
+}
@@ -0,0 +1,251 @@
+import {
+  DEFAULT_SETTINGS,
+  SETTING_DEFINITIONS,
+  loadSettings,
+  saveSettings,
+} from "../common/settings.js";
+import {
+  SELECTOR_TARGETS,
+  clearSelectorOverride,
+  describeStrategy,
+  loadSelectorMatches,
+  loadSelectorOverrides,
+  parseStrategy,
+  saveSelectorOverride,
+} from "../common/selectorRegistry.js";
+
+// Wait until the DOM content is fully loaded before executing script logic
+document.addEventListener("DOMContentLoaded", function () {
+  const settingsForm = document.getElementById("settingsForm");
+  const settingsFieldsContainer = document.getElementById("settingsFields");
+  const resetBtn = document.getElementById("resetBtn");
+  const statusEl = document.getElementById("status");
+  const selectorFieldsContainer = document.getElementById("selectorFields");
+  const selectorStatusEl = document.getElementById("selectorStatus");
+
+  // Number inputs keyed by setting name
+  const inputs = {};
+  // Override textareas and last-match lines keyed by selector target
+  const selectorInputs = {};
+  const selectorMatchEls = {};
+
+  renderFields();
+  loadSettings().then(fillFields);
+  renderSelectorFields();
+  loadSelectorOverrides().then(fillSelectorFields);
+  loadSelectorMatches().then(fillSelectorMatches);
+
+  // -----------------------------
+  // Save / restore defaults
+  // -----------------------------
+  settingsForm.addEventListener("submit", async function (event) {
+    event.preventDefault();
+    const invalidLabels = Object.entries(SETTING_DEFINITIONS)
+      .filter(([key, definition]) => {
+        const invalid = !isValidValue(inputs[key].value, definition);
+        inputs[key].classList.toggle("invalid", invalid);
+        return invalid;
+      })
+      .map(([, definition]) => definition.label);
+    if (invalidLabels.length > 0) {
+      updateStatus(`Please correct: ${invalidLabels.join(", ")}.`, "error");
+      return;
+    }
+
+    try {
+      const values = Object.fromEntries(
+        Object.keys(SETTING_DEFINITIONS).map((key) => [key, inputs[key].value])
+      );
+      fillFields(await saveSettings(values));
+      updateStatus("Settings saved.", "success");
+    } catch (error) {
+      updateStatus("Error saving settings: " + error.message, "error");
+    }
+  });
+
+  resetBtn.addEventListener("click", async function () {
+    try {
+      fillFields(await saveSettings(DEFAULT_SETTINGS));
+      updateStatus("Default settings restored.", "success");
+    } catch (error) {
+      updateStatus("Error restoring defaults: " + error.message, "error");
+    }
+  });
+
+  // -----------------------------
+  // Form helpers
+  // -----------------------------
+
+  // Add a labelled number input and description for every setting
+  function renderFields() {
+    for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+      const row = document.createElement("div");
+      row.className = "setting-row";
+      const label = document.createElement("label");
+      label.htmlFor = key;
+      label.textContent = definition.label;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.id = key;
+      input.min = definition.min;
+      input.max = definition.max;
+      input.step = 1;
+      input.required = true;
+      input.addEventListener("input", () => input.classList.remove("invalid"));
+      const unit = document.createElement("span");
+      unit.className = "unit";
+      unit.textContent = definition.unit;
+      row.appendChild(label);
+      row.appendChild(input);
+      row.appendChild(unit);
+
+      const description = document.createElement("div");
+      description.className = "setting-description";
+      description.textContent = `${definition.description} Default: ${definition.defaultValue}; ${definition.min}-${definition.max}.`;
+
+      settingsFieldsContainer.appendChild(row);
+      settingsFieldsContainer.appendChild(description);
+      inputs[key] = input;
+    }
+  }
+
+  function fillFields(settings) {
+    for (const [key, input] of Object.entries(inputs)) {
+      input.value = settings[key];
+      input.classList.remove("invalid");
+    }
+  }
+
+  // Whether an input holds a whole number within the setting's range
+  function isValidValue(value, definition) {
+    const number = Number(value);
+    return (
+      value !== "" &&
+      Number.isInteger(number) &&
+      number >= definition.min &&
+      number <= definition.max
+    );
+  }
+
+  function updateStatus(message, type) {
+    statusEl.textContent = message;
+    statusEl.className = `status ${type}`;
+  }
+
+  // -----------------------------
+  // Selector overrides
+  // -----------------------------
+
+  // Add a textarea with Save/Clear buttons and the last match for every target
+  function renderSelectorFields() {
+    for (const [targetId, target] of Object.entries(SELECTOR_TARGETS)) {
+      const row = document.createElement("div");
+      row.className = "selector-row";
+      const label = document.createElement("label");
+      label.htmlFor = `selector-${targetId}`;
+      label.textContent = target.label;
+      const match = document.createElement("div");
+      match.className = "selector-match";
+      match.textContent = "Not matched yet.";
+      const textarea = document.createElement("textarea");
+      textarea.id = `selector-${targetId}`;
+      textarea.rows = 2;
+      textarea.placeholder = describeStrategy(target.strategies[0]);
+      textarea.addEventListener("input", () =>
+        textarea.classList.remove("invalid")
+      );
+      const saveButton = document.createElement("button");
+      saveButton.type = "button";
+      saveButton.textContent = "Save";
+      saveButton.addEventListener("click", () => saveOverride(targetId));
+      const clearButton = document.createElement("button");
+      clearButton.type = "button";
+      clearButton.className = "secondary";
+      clearButton.textContent = "Clear";
+      clearButton.addEventListener("click", () => clearOverride(targetId));
+
+      row.appendChild(label);
+      row.appendChild(match);
+      row.appendChild(textarea);
+      row.appendChild(saveButton);
+      row.appendChild(clearButton);
+      selectorFieldsContainer.appendChild(row);
+      selectorInputs[targetId] = textarea;
+      selectorMatchEls[targetId] = match;
+    }
+  }
+
+  function fillSelectorFields(overrides) {
+    for (const [targetId, textarea] of Object.entries(selectorInputs)) {
+      textarea.value = (overrides[targetId] || [])
+        .map(describeStrategy)
+        .join("\n");
+      textarea.classList.remove("invalid");
+    }
+  }
+
+  function fillSelectorMatches(matches) {
+    for (const [targetId, matchEl] of Object.entries(selectorMatchEls)) {
+      const match = matches[targetId];
+      if (!match) continue;
+      const source = match.source === "override" ? "your override" : "built-in";
+      matchEl.textContent = `Last matched (${source}, ${new Date(
+        match.matchedAt
+      ).toLocaleString()}): ${match.strategy}`;
+    }
+  }
+
+  async function saveOverride(targetId) {
+    const textarea = selectorInputs[targetId];
+    const lines = textarea.value
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+    if (lines.length === 0) {
+      return clearOverride(targetId);
+    }
+
+    let strategies;
+    try {
+      strategies = lines.map(parseStrategy);
+    } catch (error) {
+      textarea.classList.add("invalid");
+      updateSelectorStatus(
+        `${SELECTOR_TARGETS[targetId].label}: ${error.message}`,
+        "error"
+      );
+      return;
+    }
+    try {
+      await saveSelectorOverride(targetId, strategies);
+      fillSelectorFields(await loadSelectorOverrides());
+      updateSelectorStatus(
+        `Override for ${SELECTOR_TARGETS[targetId].label} saved.`,
+        "success"
+      );
+    } catch (error) {
+      updateSelectorStatus("Error saving override: " + error.message, "error");
+    }
+  }
+
+  async function clearOverride(targetId) {
+    try {
+      await clearSelectorOverride(targetId);
+      fillSelectorFields(await loadSelectorOverrides());
+      updateSelectorStatus(
+        `${SELECTOR_TARGETS[targetId].label} uses the built-in locators again.`,
+        "success"
+      );
+    } catch (error) {
+      updateSelectorStatus(
+        "Error clearing override: " + error.message,
+        "error"
+      );
+    }
+  }
+
+  function updateSelectorStatus(message, type) {
+    selectorStatusEl.textContent = message;
+    selectorStatusEl.className = `status ${type}`;
+  }
+});
@@ -1,12 +1,93 @@
+import {
+  AUDIO_FORMATS,
+  TRANSCRIPT_FORMATS,
+  EXPORT_MODES,
+  EXPORT_PREFERENCES_KEY,
+  DRY_RUN_REPORT_KEY,
+  normalizeExportOptions,
+} from "../common/exportOptions.js";
+import { toCsv } from "../common/csvUtils.js";
+import {
+  compileExportFilters,
+  hasActiveFilters,
+} from "../common/exportFilters.js";
+import {
+  FILENAME_TEMPLATE_TOKENS,
+  buildExportPath,
+} from "../common/filenameTemplate.js";
+import {
+  formatElapsed,
+  getActiveDuration,
+  getProgress,
+} from "../common/progressUtils.js";
+import {
+  SELECTOR_TARGETS,
+  describeStrategy,
+  saveSelectorOverride,
+  strategiesFromElement,
+} from "../common/selectorRegistry.js";
+import { loadSettings } from "../common/settings.js";
+import { loadData, saveData } from "../common/storageUtils.js";
+
 // Wait until the DOM content is fully loaded before executing script logic
 document.addEventListener("DOMContentLoaded", function () {
   // Retrieve UI elements from the popup HTML
   const exportAllBtn = document.getElementById("exportAllBtn");
   const exportBgBtn = document.getElementById("exportBgBtn"); // Button for background export
   const stopExportBtn = document.getElementById("stopExportBtn"); // Button to stop background exports
+  const pauseExportBtn = document.getElementById("pauseExportBtn"); // Button to pause/resume background exports
+  const dryRunBtn = document.getElementById("dryRunBtn"); // Button to check the export steps without exporting
+  const checkPageBtn = document.getElementById("checkPageBtn"); // Button to check the page's controls once
+  const exportModeSelect = document.getElementById("exportMode"); // Export & delete vs. export only
+  const audioFormatSelect = document.getElementById("audioFormat"); // Audio format to export
+  const transcriptFormatSelect = document.getElementById("transcriptFormat"); // Optional transcript format
+  const exportSummaryCheckbox = document.getElementById("exportSummary"); // Optional Markdown summary note
+  const id3TagsCheckbox = document.getElementById("id3Tags"); // ID3 tags in MP3 files
+  const metadataSidecarCheckbox = document.getElementById("metadataSidecar"); // Per-recording JSON sidecar
+  const manifestCsvCheckbox = document.getElementById("manifestCsv"); // CSV copy of the run manifest
+  const downloadRootInput = document.getElementById("downloadRoot"); // Directory below the browser's downloads
+  const mirrorFoldersCheckbox = document.getElementById("mirrorFolders"); // Subdirectory per Plaud folder
+  const filenameTemplateInput = document.getElementById("filenameTemplate"); // Filename template for saved files
+  const filenamePreviewEl = document.getElementById("filenamePreview");
+  // Filter inputs; recordings that do not match are skipped by the export
+  const filterTitleInput = document.getElementById("filterTitle");
+  const filterTitleRegexCheckbox = document.getElementById("filterTitleRegex");
+  const filterDateFromInput = document.getElementById("filterDateFrom");
+  const filterDateToInput = document.getElementById("filterDateTo");
+  const filterMinDurationInput = document.getElementById("filterMinDuration");
+  const filterMaxDurationInput = document.getElementById("filterMaxDuration");
+  const filtersActiveEl = document.getElementById("filtersActive");
+  // Controls whose values make up the export options (disabled while an export runs)
+  const exportOptionControls = [
+    exportModeSelect,
+    audioFormatSelect,
+    transcriptFormatSelect,
+    exportSummaryCheckbox,
+    id3TagsCheckbox,
+    metadataSidecarCheckbox,
+    manifestCsvCheckbox,
+    downloadRootInput,
+    mirrorFoldersCheckbox,
+    filenameTemplateInput,
+    filterTitleInput,
+    filterTitleRegexCheckbox,
+    filterDateFromInput,
+    filterDateToInput,
+    filterMinDurationInput,
+    filterMaxDurationInput,
+  ];
   const startSelectorBtn = document.getElementById("startSelector");
   const clearElementsBtn = document.getElementById("clearElements");
   const copyElementsBtn = document.getElementById("copyElements");
+  const clearLedgerBtn = document.getElementById("clearLedgerBtn");
+  const openOptionsLink = document.getElementById("openOptions");
+  const ledgerSummaryEl = document.getElementById("ledgerSummary");
+  const failedExportsContainer = document.getElementById("failedExports");
+  const dryRunReportContainer = document.getElementById("dryRunReport");
+  const pageCheckContainer = document.getElementById("pageCheckReport");
+  const runHistoryDetails = document.getElementById("runHistory");
+  const runHistoryList = document.getElementById("runHistoryList");
+  const clearHistoryBtn = document.getElementById("clearHistoryBtn");
 
   const selectedElementsContainer = document.getElementById("selectedElements");
   const elementDetailsContainer = document.getElementById("elementDetails");
@@ -17,9 +98,16 @@ document.addEventListener("DOMContentLoaded", function () {
   let selectedElements = [];
   let selectorActive = false;
   let exportActive = false;
+  let exportPaused = false;
+  // Whether the page runs an export of its own (foreground run, dry run or retry)
+  let pageExportRunning = false;
 
   // On popup open, check if an export is already active in the current tab
   checkExportStatus();
+  initExportOptions();
+  loadLedgerSummary();
+  loadFailedExports();
+  loadDryRunReport();
 
   // -----------------------------
   // Standard (foreground) export
@@ -30,9 +118,14 @@ document.addEventListener("DOMContentLoaded", function () {
       // Send a message to the content script to start export in foreground mode
       chrome.tabs.sendMessage(
         tabs[0].id,
-        { action: "runExportAll", background: false },
+        {
+          action: "runExportAll",
+          background: false,
+          options: getExportOptions(),
+        },
         (response) => {
           if (response && response.success) {
+            watchPageExport();
             updateStatus("Export process started!", "info");
           } else {
             updateStatus(
@@ -45,6 +138,194 @@ document.addEventListener("DOMContentLoaded", function () {
     });
   });
 
+  // -----------------------------
+  // Dry run
+  // -----------------------------
+  dryRunBtn.addEventListener("click", function () {
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      // Same flow as a foreground export, but only locating each control
+      chrome.tabs.sendMessage(
+        tabs[0].id,
+        {
+          action: "runExportAll",
+          background: false,
+          options: { ...getExportOptions(), dryRun: true },
+        },
+        (response) => {
+          if (response && response.success) {
+            watchPageExport();
+            updateStatus(
+              "Dry run started: nothing will be downloaded or deleted.",
+              "info"
+            );
+          } else {
+            updateStatus(
+              "Error starting dry run: " + (response?.error || "Unknown"),
+              "error"
+            );
+          }
+        }
+      );
+    });
+  });
+
+  // Steps reported by features/audioExport/dryRun.js
+  const DRY_RUN_STEP_LABELS = {
+    select: "Share icon",
+    exportOption: "Export Audio option",
+    format: "Format option",
+    exportButton: "Export button",
+    deleteMenu: "Delete menu item",
+  };
+
+  // Show the report of the last dry run (refreshed while a dry run is writing it)
+  async function loadDryRunReport() {
+    try {
+      renderDryRunReport(await loadData(DRY_RUN_REPORT_KEY));
+    } catch (error) {
+      console.warn("Failed to load dry-run report:", error);
+    }
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[DRY_RUN_REPORT_KEY]) {
+      renderDryRunReport(changes[DRY_RUN_REPORT_KEY].newValue);
+    }
+  });
+
+  function renderDryRunReport(report) {
+    clearChildren(dryRunReportContainer);
+    if (!report || !Array.isArray(report.files)) return;
+
+    const failedFiles = report.files.filter((file) => !file.ok);
+    const passedFiles = report.files.filter((file) => file.ok);
+    const heading = document.createElement("strong");
+    const modeLabel =
+      report.mode === EXPORT_MODES.EXPORT_ONLY
+        ? "export only"
+        : "export & delete";
+    heading.textContent = `Dry run (${modeLabel}, ${new Date(
+      report.startedAt
+    ).toLocaleString()}${
+      report.finishedAt ? "" : ", in progress"
+    }): ${passedFiles.length} OK, ${failedFiles.length} would fail`;
+    dryRunReportContainer.appendChild(heading);
+
+    if (failedFiles.length > 0) {
+      const failedList = document.createElement("ul");
+      for (const file of failedFiles) {
+        const item = document.createElement("li");
+        item.className = "failed";
+        item.textContent = `${file.title}: ${
+          DRY_RUN_STEP_LABELS[file.failedStep] || file.failedStep
+        } not found (${file.error})`;
+        failedList.appendChild(item);
+      }
+      dryRunReportContainer.appendChild(failedList);
+    }
+
+    if (passedFiles.length > 0) {
+      const details = document.createElement("details");
+      const summary = document.createElement("summary");
+      summary.textContent = `Files that would be handled (${passedFiles.length})`;
+      details.appendChild(summary);
+      const passedList = document.createElement("ul");
+      for (const file of passedFiles) {
+        const item = document.createElement("li");
+        const actions = [
+          file.wouldExport ? "export" : null,
+          file.wouldDelete ? "delete" : null,
+        ].filter(Boolean);
+        item.textContent = `${file.title} (${actions.join(" & ")})`;
+        passedList.appendChild(item);
+      }
+      details.appendChild(passedList);
+      dryRunReportContainer.appendChild(details);
+    }
+  }
+
+  // -----------------------------
+  // Page check
+  // -----------------------------
+  checkPageBtn.addEventListener("click", function () {
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      checkPageBtn.disabled = true;
+      clearChildren(pageCheckContainer);
+      updateStatus(
+        "Checking the page: opening and closing menus on the first file...",
+        "info"
+      );
+      chrome.tabs.sendMessage(
+        tabs[0].id,
+        { action: "checkPage", options: getExportOptions() },
+        (response) => {
+          checkPageBtn.disabled = exportActive || pageExportRunning;
+          if (response && response.success) {
+            renderPageCheck(response.report);
+            const failed = response.report.checks.filter((c) => !c.ok).length;
+            updateStatus(
+              failed === 0
+                ? "Page check passed: every control was found."
+                : `Page check: ${failed} control(s) could not be located.`,
+              failed === 0 ? "success" : "error"
+            );
+          } else {
+            updateStatus(
+              "Error checking page: " +
+                (response?.error ||
+                  chrome.runtime.lastError?.message ||
+                  "Unknown"),
+              "error"
+            );
+          }
+        }
+      );
+    });
+  });
+
+  // Pass/fail table: one row per control, with the strategy that matched and a preview
+  function renderPageCheck(report) {
+    clearChildren(pageCheckContainer);
+    const heading = document.createElement("strong");
+    heading.textContent = `Page check (${new Date(
+      report.checkedAt
+    ).toLocaleTimeString()}${
+      report.fileTitle ? `, using "${report.fileTitle}"` : ""
+    })`;
+    pageCheckContainer.appendChild(heading);
+
+    const table = document.createElement("table");
+    for (const check of report.checks) {
+      const row = document.createElement("tr");
+      const resultCell = document.createElement("td");
+      resultCell.className = check.ok ? "pass" : "failed";
+      resultCell.textContent = check.ok ? "✓" : check.skipped ? "–" : "✗";
+      const labelCell = document.createElement("td");
+      labelCell.textContent = check.label;
+      const detailCell = document.createElement("td");
+      if (!check.ok) {
+        detailCell.className = "detail";
+        detailCell.textContent = check.error;
+      } else {
+        detailCell.textContent = check.preview;
+        // Optional controls that are absent pass without a strategy
+        if (check.strategy) {
+          const strategy = document.createElement("div");
+          strategy.className = "detail";
+          strategy.textContent = `${check.strategy}${
+            check.source === "override" ? " (override)" : ""
+          }`;
+          detailCell.appendChild(strategy);
+        }
+      }
+      row.appendChild(resultCell);
+      row.appendChild(labelCell);
+      row.appendChild(detailCell);
+      table.appendChild(row);
+    }
+    pageCheckContainer.appendChild(table);
+  }
+
   // -----------------------------
   // Background export
   // -----------------------------
@@ -55,6 +336,7 @@ document.addEventListener("DOMContentLoaded", function () {
         {
           action: "startBackgroundExport",
           tabId: tabs[0].id,
+          options: getExportOptions(),
         },
         (response) => {
           if (response && response.success) {
@@ -65,7 +347,11 @@ document.addEventListener("DOMContentLoaded", function () {
             exportActive = true;
             updateExportControls();
           } else {
-            updateStatus("Error starting background export.", "error");
+            updateStatus(
+              "Error starting background export: " +
+                (response?.error || "Unknown"),
+              "error"
+            );
           }
         }
       );
@@ -97,6 +383,422 @@ document.addEventListener("DOMContentLoaded", function () {
     });
   });
 
+  // -----------------------------
+  // Pause / resume export process
+  // -----------------------------
+  pauseExportBtn.addEventListener("click", function () {
+    const action = exportPaused ? "resumeExport" : "pauseExport";
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      chrome.runtime.sendMessage(
+        {
+          action,
+          tabId: tabs[0].id,
+        },
+        (response) => {
+          if (response && response.success) {
+            exportPaused = action === "pauseExport";
+            updateStatus(
+              exportPaused
+                ? "Export pausing after current file completes."
+                : "Export resumed.",
+              "info"
+            );
+            updateExportControls();
+          } else {
+            updateStatus(
+              "Error: " + (response?.error || "Unknown"),
+              "error"
+            );
+          }
+        }
+      );
+    });
+  });
+
+  // -----------------------------
+  // Export options
+  // -----------------------------
+
+  // Fill the option controls and restore the choices made last time
+  async function initExportOptions() {
+    appendFormatOptions(audioFormatSelect, AUDIO_FORMATS);
+    appendFormatOptions(transcriptFormatSelect, TRANSCRIPT_FORMATS);
+
+    try {
+      const saved = await loadData(EXPORT_PREFERENCES_KEY, {});
+      const options = normalizeExportOptions(saved);
+      exportModeSelect.value = options.mode;
+      audioFormatSelect.value = options.audioFormat;
+      transcriptFormatSelect.value = options.transcriptFormat;
+      exportSummaryCheckbox.checked = options.exportSummary;
+      id3TagsCheckbox.checked = options.id3Tags;
+      metadataSidecarCheckbox.checked = options.metadataSidecar;
+      manifestCsvCheckbox.checked = options.manifestCsv;
+      downloadRootInput.value = options.downloadRoot;
+      mirrorFoldersCheckbox.checked = options.mirrorFolders;
+      filenameTemplateInput.value = options.filenameTemplate;
+      filterTitleInput.value = options.filters.title;
+      filterTitleRegexCheckbox.checked = options.filters.titleIsRegex;
+      filterDateFromInput.value = options.filters.dateFrom;
+      filterDateToInput.value = options.filters.dateTo;
+      filterMinDurationInput.value = options.filters.minDurationMinutes ?? "";
+      filterMaxDurationInput.value = options.filters.maxDurationMinutes ?? "";
+    } catch (error) {
+      console.warn("Failed to load export preferences:", error);
+    }
+
+    filenameTemplateInput.title =
+      "Tokens:\n" +
+      Object.entries(FILENAME_TEMPLATE_TOKENS)
+        .map(([token, description]) => `{${token}} ${description}`)
+        .join("\n");
+    [downloadRootInput, filenameTemplateInput].forEach((input) =>
+      input.addEventListener("input", updateFilenamePreview)
+    );
+    [audioFormatSelect, mirrorFoldersCheckbox].forEach((control) =>
+      control.addEventListener("change", updateFilenamePreview)
+    );
+    updateFilenamePreview();
+    exportOptionControls.forEach((control) =>
+      control.addEventListener("input", updateFilterState)
+    );
+    updateFilterState();
+
+    exportOptionControls.forEach((control) =>
+      control.addEventListener("change", () => {
+        saveData(EXPORT_PREFERENCES_KEY, getExportOptions()).catch((error) =>
+          console.warn("Failed to save export preferences:", error)
+        );
+      })
+    );
+  }
+
+  // Add one <option> per format (keyed by extension) to a select element
+  function appendFormatOptions(select, formats) {
+    for (const [key, format] of Object.entries(formats)) {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = format.label;
+      select.appendChild(option);
+    }
+  }
+
+  // Collect the export options currently chosen in the popup
+  function getExportOptions() {
+    return normalizeExportOptions({
+      mode: exportModeSelect.value,
+      audioFormat: audioFormatSelect.value,
+      transcriptFormat: transcriptFormatSelect.value,
+      exportSummary: exportSummaryCheckbox.checked,
+      id3Tags: id3TagsCheckbox.checked,
+      metadataSidecar: metadataSidecarCheckbox.checked,
+      manifestCsv: manifestCsvCheckbox.checked,
+      filenameTemplate: filenameTemplateInput.value,
+      downloadRoot: downloadRootInput.value,
+      mirrorFolders: mirrorFoldersCheckbox.checked,
+      filters: {
+        title: filterTitleInput.value,
+        titleIsRegex: filterTitleRegexCheckbox.checked,
+        dateFrom: filterDateFromInput.value,
+        dateTo: filterDateToInput.value,
+        minDurationMinutes: filterMinDurationInput.value,
+        maxDurationMinutes: filterMaxDurationInput.value,
+      },
+    });
+  }
+
+  // Mark the filters as active and flag an invalid title pattern
+  function updateFilterState() {
+    const { filters } = getExportOptions();
+    let error = null;
+    try {
+      compileExportFilters(filters);
+    } catch (e) {
+      error = e.message;
+    }
+    filterTitleInput.classList.toggle("invalid", !!error);
+    filterTitleInput.title = error || "";
+    filtersActiveEl.textContent = error
+      ? "(invalid)"
+      : hasActiveFilters(filters)
+      ? "(active)"
+      : "";
+  }
+
+  // Show where a sample recording would be saved with the current folder options and template
+  function updateFilenamePreview() {
+    const options = getExportOptions();
+    filenamePreviewEl.textContent = buildExportPath({
+      root: options.downloadRoot,
+      folder: options.mirrorFolders ? "Meetings" : null,
+      template: options.filenameTemplate,
+      file: {
+        title: "Weekly Standup",
+        recordingDate: new Date().toISOString(),
+        index: 1,
+        id: "id:a1b2c3",
+      },
+      extension: AUDIO_FORMATS[options.audioFormat].extension,
+      fallbackName: "<Plaud's filename>",
+    });
+  }
+
+  // -----------------------------
+  // Settings (timeouts and limits)
+  // -----------------------------
+  openOptionsLink.addEventListener("click", function (event) {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  // -----------------------------
+  // Export ledger
+  // -----------------------------
+  clearLedgerBtn.addEventListener("click", function () {
+    if (
+      !confirm(
+        "Clear the export ledger? Recordings that were already exported will be exported again."
+      )
+    ) {
+      return;
+    }
+    chrome.runtime.sendMessage({ action: "clearExportLedger" }, (response) => {
+      if (response && response.success) {
+        updateStatus("Export ledger cleared.", "success");
+        loadLedgerSummary();
+        loadFailedExports();
+      } else {
+        updateStatus(
+          "Error clearing ledger: " + (response?.error || "Unknown"),
+          "error"
+        );
+      }
+    });
+  });
+
+  // Show how many recordings the ledger already knows about
+  function loadLedgerSummary() {
+    chrome.runtime.sendMessage({ action: "getLedgerSummary" }, (response) => {
+      if (response && response.success) {
+        const { total, exported, deleted, errored } = response.summary;
+        ledgerSummaryEl.textContent =
+          total === 0
+            ? "Ledger is empty."
+            : `Ledger: ${exported} exported, ${deleted} deleted, ${errored} failed`;
+      }
+    });
+  }
+
+  // -----------------------------
+  // Failed files
+  // -----------------------------
+
+  // List the recordings whose last attempt failed, each with a Retry button
+  function loadFailedExports() {
+    chrome.runtime.sendMessage({ action: "getFailedExports" }, (response) => {
+      if (response && response.success) {
+        renderFailedExports(response.failed);
+      }
+    });
+  }
+
+  function renderFailedExports(failed) {
+    clearChildren(failedExportsContainer);
+    if (!Array.isArray(failed) || failed.length === 0) return;
+
+    const heading = document.createElement("strong");
+    heading.textContent = `Failed files (${failed.length})`;
+    failedExportsContainer.appendChild(heading);
+    const retryAllBtn = document.createElement("button");
+    retryAllBtn.className = "small";
+    retryAllBtn.textContent = "Retry All";
+    retryAllBtn.disabled = exportActive || pageExportRunning;
+    retryAllBtn.addEventListener("click", () =>
+      retryFailedExports(failed)
+    );
+    failedExportsContainer.appendChild(retryAllBtn);
+
+    const list = document.createElement("ul");
+    for (const entry of failed) {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = entry.title;
+      label.title = `${entry.error}${
+        entry.attempts ? ` (after ${entry.attempts} attempt(s))` : ""
+      }`;
+      const retryBtn = document.createElement("button");
+      retryBtn.className = "small";
+      retryBtn.textContent = "Retry";
+      retryBtn.disabled = exportActive || pageExportRunning;
+      retryBtn.addEventListener("click", () =>
+        retryFailedExports([entry])
+      );
+      item.appendChild(label);
+      item.appendChild(retryBtn);
+      list.appendChild(item);
+    }
+    failedExportsContainer.appendChild(list);
+  }
+
+  // Run a foreground export limited to the given ledger entries, with the current options.
+  // Entries recorded before recordings had ids are selected by title.
+  function retryFailedExports(entries) {
+    const onlyRecordingIds = entries
+      .filter((entry) => entry.recordingId)
+      .map((entry) => entry.recordingId);
+    const onlyTitles = entries
+      .filter((entry) => !entry.recordingId)
+      .map((entry) => entry.title);
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      chrome.tabs.sendMessage(
+        tabs[0].id,
+        {
+          action: "runExportAll",
+          background: false,
+          options: { ...getExportOptions(), onlyRecordingIds, onlyTitles },
+        },
+        (response) => {
+          if (response && response.success) {
+            watchPageExport();
+            updateStatus(`Retrying ${entries.length} file(s)...`, "info");
+          } else {
+            updateStatus(
+              "Error retrying: " + (response?.error || "Unknown"),
+              "error"
+            );
+          }
+        }
+      );
+    });
+  }
+
+  // -----------------------------
+  // Run history
+  // -----------------------------
+  // Columns of a run's CSV report, one line per file
+  const RUN_REPORT_COLUMNS = [
+    "recordingId",
+    "title",
+    "recordingDate",
+    "durationSeconds",
+    "outcome",
+    "error",
+    "filename",
+    "format",
+    "fileSize",
+    "deleted",
+    "finishedAt",
+  ];
+  const RUN_STATUS_LABELS = {
+    running: "unfinished",
+    completed: "completed",
+    stopped: "stopped",
+    aborted: "aborted",
+  };
+
+  // The history is loaded when the view is opened
+  runHistoryDetails.addEventListener("toggle", () => {
+    if (runHistoryDetails.open) loadRunHistory();
+  });
+
+  clearHistoryBtn.addEventListener("click", function () {
+    if (!confirm("Clear the history of past export runs?")) return;
+    chrome.runtime.sendMessage({ action: "clearRunHistory" }, (response) => {
+      if (response && response.success) {
+        updateStatus("Run history cleared.", "success");
+        loadRunHistory();
+      } else {
+        updateStatus(
+          "Error clearing history: " + (response?.error || "Unknown"),
+          "error"
+        );
+      }
+    });
+  });
+
+  function loadRunHistory() {
+    chrome.runtime.sendMessage({ action: "getRunHistory" }, (response) => {
+      if (response && response.success) {
+        renderRunHistory(response.runs);
+      }
+    });
+  }
+
+  // One collapsible entry per run: counts, download buttons and the files it handled
+  function renderRunHistory(runs) {
+    clearChildren(runHistoryList);
+    if (!Array.isArray(runs) || runs.length === 0) {
+      runHistoryList.textContent = "No runs recorded yet.";
+      return;
+    }
+
+    for (const run of runs) {
+      const entry = document.createElement("details");
+      const summary = document.createElement("summary");
+      const modeLabel =
+        run.mode === EXPORT_MODES.EXPORT_ONLY
+          ? "export only"
+          : "export & delete";
+      const { processed, errored, skipped } = run.counts;
+      summary.textContent = `${new Date(
+        run.startedAt
+      ).toLocaleString()} (${modeLabel}, ${
+        RUN_STATUS_LABELS[run.status] || run.status
+      }): ${processed} exported, ${errored} failed, ${skipped} skipped`;
+      entry.appendChild(summary);
+
+      const jsonBtn = document.createElement("button");
+      jsonBtn.className = "small";
+      jsonBtn.textContent = "JSON";
+      jsonBtn.addEventListener("click", () => downloadRunReport(run, "json"));
+      const csvBtn = document.createElement("button");
+      csvBtn.className = "small";
+      csvBtn.textContent = "CSV";
+      csvBtn.addEventListener("click", () => downloadRunReport(run, "csv"));
+      entry.appendChild(jsonBtn);
+      entry.appendChild(csvBtn);
+
+      const list = document.createElement("ul");
+      for (const file of run.files) {
+        const item = document.createElement("li");
+        if (file.outcome === "failed") {
+          item.className = "failed";
+          item.textContent = `${file.title}: ${file.error || "failed"}`;
+        } else {
+          item.textContent = `${file.title}${
+            file.filename ? ` → ${file.filename}` : ""
+          }${file.deleted ? " (deleted)" : ""}`;
+        }
+        list.appendChild(item);
+      }
+      entry.appendChild(list);
+      runHistoryList.appendChild(entry);
+    }
+  }
+
+  // Save a run's report as a JSON or CSV file through the browser
+  function downloadRunReport(run, format) {
+    const content =
+      format === "csv"
+        ? toCsv(
+            run.files.map((file) => ({
+              ...file,
+              finishedAt: new Date(file.finishedAt).toISOString(),
+            })),
+            RUN_REPORT_COLUMNS
+          )
+        : JSON.stringify(run, null, 2);
+    const type = format === "csv" ? "text/csv" : "application/json";
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `plaud-export-run-${new Date(run.startedAt)
+      .toISOString()
+      .replace(/[:.]/g, "-")}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   // -----------------------------
   // Element Selector Start/Stop
   // -----------------------------
@@ -276,6 +978,7 @@ document.addEventListener("DOMContentLoaded", function () {
           const pre = document.createElement("pre");
           pre.textContent = element.outerHTML;
           details.appendChild(pre);
+          details.appendChild(createAssignControls(element));
           clearChildren(elementDetailsContainer);
           elementDetailsContainer.appendChild(details);
         }
@@ -284,6 +987,54 @@ document.addEventListener("DOMContentLoaded", function () {
     });
   }
 
+  // Controls to use a selected element as the locator for an export step
+  function createAssignControls(element) {
+    const row = document.createElement("div");
+    row.className = "assign-step";
+    const select = document.createElement("select");
+    for (const [targetId, target] of Object.entries(SELECTOR_TARGETS)) {
+      const option = document.createElement("option");
+      option.value = targetId;
+      option.textContent = target.label;
+      select.appendChild(option);
+    }
+    const assignBtn = document.createElement("button");
+    assignBtn.className = "small";
+    assignBtn.textContent = "Use for Step";
+    assignBtn.title =
+      "Locate this step with the selected element from now on (before the built-in locators)";
+    assignBtn.addEventListener("click", () =>
+      assignElementToStep(select.value, element)
+    );
+    row.appendChild(select);
+    row.appendChild(assignBtn);
+    return row;
+  }
+
+  // Store the selected element as the override for an export step
+  async function assignElementToStep(targetId, element) {
+    const { label } = SELECTOR_TARGETS[targetId];
+    try {
+      const strategies = strategiesFromElement(targetId, element);
+      if (strategies.length === 0) {
+        updateStatus(`No locator could be built for ${label}.`, "error");
+        return;
+      }
+      await saveSelectorOverride(targetId, strategies);
+      updateStatus(
+        `${label} will be located with ${strategies
+          .map(describeStrategy)
+          .join(" or ")}.`,
+        "success"
+      );
+    } catch (error) {
+      updateStatus(
+        `Could not save locator for ${label}: ${error.message}`,
+        "error"
+      );
+    }
+  }
+
   // Utility function to escape HTML characters for safe display
   function escapeHtml(html) {
     return html
@@ -333,15 +1084,52 @@ document.addEventListener("DOMContentLoaded", function () {
           }
         }
       );
+      // Foreground runs are only known to the page itself
+      chrome.tabs.sendMessage(
+        tabs[0].id,
+        { action: "getPageExportState" },
+        (response) => {
+          if (chrome.runtime.lastError) return; // Not a Plaud page
+          if (response?.isRunning && !response.background) watchPageExport();
+        }
+      );
     });
   }
 
+  // Keep the run buttons disabled while the page runs an export, re-enabling
+  // them once it has finished
+  let pageExportInterval = null;
+  function watchPageExport() {
+    pageExportRunning = true;
+    updateExportControls();
+    if (pageExportInterval) return;
+    pageExportInterval = setInterval(() => {
+      chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+        chrome.tabs.sendMessage(
+          tabs[0].id,
+          { action: "getPageExportState" },
+          (response) => {
+            if (chrome.runtime.lastError || response?.isRunning) return;
+            clearInterval(pageExportInterval);
+            pageExportInterval = null;
+            pageExportRunning = false;
+            updateExportControls();
+            loadLedgerSummary();
+            loadFailedExports();
+            loadDryRunReport();
+          }
+        );
+      });
+    }, 2000);
+  }
+
   // Update the export status display using export data
   function updateExportStatus(data) {
     if (!exportStatusContainer) return;
 
     // Hide the container if no data or export is stopped
     if (!data || data.status === "stopped") {
+      exportPaused = false;
       clearChildren(exportStatusContainer);
       exportStatusContainer.style.display = "none";
       return;
@@ -350,17 +1138,18 @@ document.addEventListener("DOMContentLoaded", function () {
     // Make sure the container is visible
     exportStatusContainer.style.display = "block";
 
-    // Calculate elapsed time since export started
-    const elapsedSeconds = Math.floor((Date.now() - data.startTime) / 1000);
-    const minutes = Math.floor(elapsedSeconds / 60);
-    const seconds = elapsedSeconds % 60;
-    const timeString = `${minutes}m ${seconds}s`;
+    // Running time excludes time spent paused
+    const timeString = formatElapsed(getActiveDuration(data));
+    if (exportPaused !== (data.status === "paused")) {
+      exportPaused = data.status === "paused";
+      updateExportControls();
+    }
 
     // Update the container with current export status details using safe DOM
     clearChildren(exportStatusContainer);
 
     const heading = document.createElement("h3");
-    heading.textContent = "Export in Progress";
+    heading.textContent = exportPaused ? "Export Paused" : "Export in Progress";
     exportStatusContainer.appendChild(heading);
 
     function appendStatusItem(label, value) {
@@ -375,24 +1164,62 @@ document.addEventListener("DOMContentLoaded", function () {
       exportStatusContainer.appendChild(row);
     }
 
+    // Files done (processed, errored or skipped) out of the total in the list
+    const progress = getProgress(data);
+    if (progress) {
+      const bar = document.createElement("progress");
+      bar.className = "export-progress";
+      bar.max = progress.total;
+      bar.value = progress.done;
+      exportStatusContainer.appendChild(bar);
+      appendStatusItem(
+        "Progress:",
+        `${progress.done} of ${progress.total} (${progress.percent}%)`
+      );
+    }
     appendStatusItem("Files Processed:", data.filesProcessed);
     appendStatusItem("Errors:", data.filesErrored);
+    if (data.currentTitle) {
+      appendStatusItem("Last File:", data.currentTitle);
+    }
     appendStatusItem("Running Time:", timeString);
+    if (progress?.remainingMs != null && progress.done < progress.total) {
+      appendStatusItem(
+        "Time Left:",
+        `about ${formatElapsed(progress.remainingMs)}`
+      );
+    }
+    if (exportPaused && data.pausedAt) {
+      appendStatusItem("Paused For:", formatElapsed(Date.now() - data.pausedAt));
+    }
   }
 
   // Enable or disable export-related control buttons based on export state
   function updateExportControls() {
+    // No second run may start while one is going on, in the background or not
+    const runActive = exportActive || pageExportRunning;
+    exportAllBtn.disabled = runActive;
+    exportBgBtn.disabled = runActive;
+    dryRunBtn.disabled = runActive;
+    checkPageBtn.disabled = runActive;
+    exportOptionControls.forEach((control) => (control.disabled = runActive));
     if (exportActive) {
-      exportAllBtn.disabled = true;
-      exportBgBtn.disabled = true;
       stopExportBtn.disabled = false;
       stopExportBtn.style.display = "block";
+      pauseExportBtn.disabled = false;
+      pauseExportBtn.style.display = "block";
+      pauseExportBtn.textContent = exportPaused
+        ? "Resume Export"
+        : "Pause Export";
     } else {
-      exportAllBtn.disabled = false;
-      exportBgBtn.disabled = false;
       stopExportBtn.disabled = true;
       stopExportBtn.style.display = "none";
+      pauseExportBtn.disabled = true;
+      pauseExportBtn.style.display = "none";
     }
+    failedExportsContainer
+      .querySelectorAll("button")
+      .forEach((button) => (button.disabled = runActive));
   }
 
   // -----------------------------
@@ -400,7 +1227,6 @@ document.addEventListener("DOMContentLoaded", function () {
   // -----------------------------
   let statusPollingInterval = null;
   let statusPollingTimeout = null;
-  const MAX_POLLING_DURATION = 2 * 60 * 60 * 1000; // 2 hours
 
   function stopStatusPolling() {
     if (statusPollingInterval) {
@@ -417,14 +1243,19 @@ document.addEventListener("DOMContentLoaded", function () {
     // Clear any existing polling
     stopStatusPolling();
 
-    // Set maximum polling duration
-    statusPollingTimeout = setTimeout(() => {
-      console.warn("Polling max duration reached (2 hours). Stopping polling.");
-      stopStatusPolling();
-      exportActive = false;
-      updateExportControls();
-      updateExportStatus(null);
-    }, MAX_POLLING_DURATION);
+    // Set maximum polling duration (from the options page)
+    loadSettings().then((settings) => {
+      if (!statusPollingInterval) return; // Polling already stopped
+      statusPollingTimeout = setTimeout(() => {
+        console.warn(
+          `Polling max duration reached (${settings.popupPollingHours} hours). Stopping polling.`
+        );
+        stopStatusPolling();
+        exportActive = false;
+        updateExportControls();
+        updateExportStatus(null);
+      }, settings.popupPollingHours * 60 * 60 * 1000);
+    });
 
     // Poll for export status every 2 seconds
     statusPollingInterval = setInterval(() => {
@@ -447,6 +1278,8 @@ document.addEventListener("DOMContentLoaded", function () {
                 exportActive = false;
                 updateExportControls();
                 updateExportStatus(null);
+                loadLedgerSummary();
+                loadFailedExports();
               }
             }
           }